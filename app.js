@@ -7,12 +7,26 @@
 // fallback servers.
 
 (() => {
-  const socket = io();
+  // The socket connects only once an account session is available (see connectWithSession).
+  const socket = io({ autoConnect: false });
   let ROOM = null;
   const messagesEl = document.getElementById('messages');
   const chatScrollRegion = document.getElementById('chatScrollRegion');
+  const chatSection = document.getElementById('chat');
+  const conversationSwitcher = document.getElementById('conversationSwitcher');
+  const directChatSection = document.getElementById('directChat');
+  const directScrollRegion = document.getElementById('directScrollRegion');
+  const directMessagesEl = document.getElementById('directMessages');
   const inputEl = document.getElementById('input');
+  const mentionSuggestionsEl = document.getElementById('mentionSuggestions');
   const sendBtn = document.getElementById('send');
+  const attachFileBtn = document.getElementById('attachFile');
+  const attachmentInput = document.getElementById('attachmentInput');
+  const recordVoiceBtn = document.getElementById('recordVoice');
+  const uploadStatusEl = document.getElementById('uploadStatus');
+  const replyBar = document.getElementById('replyBar');
+  const replyBarText = document.getElementById('replyBarText');
+  const cancelReplyBtn = document.getElementById('cancelReply');
   const shareLocationBtn = document.getElementById('shareLocation');
   const toggleLocationShareBtn = document.getElementById('toggleLocationShare');
   const toggleLocationShareLabel = (() => {
@@ -27,11 +41,22 @@
   const iconInput = document.getElementById('iconInput');
   const iconPreview = document.getElementById('iconPreview');
   const iconStatus = document.getElementById('iconStatus');
+  const notificationModeSelect = document.getElementById('notificationModeSelect');
+  const notificationStatusEl = document.getElementById('notificationStatus');
   const appContent = document.getElementById('appContent');
   const joinModal = document.getElementById('joinModal');
   const roomNameInput = document.getElementById('roomNameInput');
   const roomOptions = document.getElementById('roomOptions');
   const userNameInput = document.getElementById('userNameInput');
+  const accountSection = document.getElementById('accountSection');
+  const roomJoinSection = document.getElementById('roomJoinSection');
+  const accountPasswordInput = document.getElementById('accountPasswordInput');
+  const displayNameInput = document.getElementById('displayNameInput');
+  const accountError = document.getElementById('accountError');
+  const loginBtn = document.getElementById('loginButton');
+  const registerBtn = document.getElementById('registerButton');
+  const accountNameEl = document.getElementById('accountName');
+  const logoutBtn = document.getElementById('logoutButton');
   const passwordInput = document.getElementById('passwordInput');
   const joinBtn = document.getElementById('joinRoom');
   const joinError = document.getElementById('joinError');
@@ -47,6 +72,19 @@
   const moreActionsBtn = document.getElementById('moreActions');
   const quickActionsMenu = document.getElementById('quickActionsMenu');
   const newMessagesButton = document.getElementById('newMessagesButton');
+  const openSearchBtn = document.getElementById('openSearch');
+  const searchPanel = document.getElementById('searchPanel');
+  const searchForm = document.getElementById('searchForm');
+  const searchQueryInput = document.getElementById('searchQuery');
+  const searchAuthorInput = document.getElementById('searchAuthor');
+  const searchSinceInput = document.getElementById('searchSince');
+  const searchUntilInput = document.getElementById('searchUntil');
+  const searchHasLocationInput = document.getElementById('searchHasLocation');
+  const searchHasAttachmentInput = document.getElementById('searchHasAttachment');
+  const closeSearchBtn = document.getElementById('closeSearch');
+  const searchStatusEl = document.getElementById('searchStatus');
+  const searchResultsEl = document.getElementById('searchResults');
+  const searchMoreBtn = document.getElementById('searchMore');
   const typingIndicatorEl = document.getElementById('typingIndicator');
   const connectionBanner = document.getElementById('connectionBanner');
   const liveMapPanel = document.getElementById('liveMapPanel');
@@ -60,12 +98,16 @@
   const adminLoginBtn = document.getElementById('adminLoginBtn');
   const adminError = document.getElementById('adminError');
   const adminRoomList = document.getElementById('adminRoomList');
+  const globalBlocklistEl = document.getElementById('globalBlocklist');
   const createRoomForm = document.getElementById('createRoomForm');
   const newRoomNameInput = document.getElementById('newRoomName');
   const newRoomPasswordInput = document.getElementById('newRoomPassword');
+  const newRoomRetentionInput = document.getElementById('newRoomRetention');
+  const roomRetentionInput = document.getElementById('roomRetentionInput');
   const leaveRoomBtn = document.getElementById('leaveRoomBtn');
 
-  const LOCAL_MESSAGES_PREFIX = 'chat-messages:';
+  // Older versions cached each room's messages as one JSON array in localStorage under this prefix.
+  const LEGACY_MESSAGES_PREFIX = 'chat-messages:';
   const THEME_STORAGE_KEY = 'chat-theme';
   const prefersDarkMedia = window.matchMedia('(prefers-color-scheme: dark)');
 
@@ -74,6 +116,12 @@
   let userName = '';
   
   const ACTIVE_SESSION_KEY = 'activeSession';
+  const SESSION_TOKEN_KEY = 'sessionToken';
+  const ACCOUNT_USERNAME_KEY = 'accountUsername';
+  let sessionToken = localStorage.getItem(SESSION_TOKEN_KEY) || null;
+  let currentAccount = null;
+  // Stable ID of this member in the room (the account ID); names alone are not trusted for "is this me?".
+  let selfMemberId = null;
 
   let userIcon = localStorage.getItem('userIcon') || null;
   const DEFAULT_ICON_SRC = iconPreview ? iconPreview.getAttribute('src') || 'icon-192.png' : 'icon-192.png';
@@ -85,13 +133,51 @@
   const pendingIceCandidates = new Map();
   let acquiringLocalStream = null;
   let notificationPermission = typeof Notification !== 'undefined' ? Notification.permission : 'default';
+  let pushPublicKey = null;
+  const NOTIFICATION_MODE_LABELS = { all: 'すべてのメッセージ', mentions: 'メンションのみ', muted: 'ミュート' };
+  const MUTE_DURATIONS = [
+    { value: 'mute-1h', label: '1時間ミュート', ms: 60 * 60 * 1000 },
+    { value: 'mute-8h', label: '8時間ミュート', ms: 8 * 60 * 60 * 1000 },
+    { value: 'mute-24h', label: '24時間ミュート', ms: 24 * 60 * 60 * 1000 },
+    { value: 'mute-7d', label: '1週間ミュート', ms: 7 * 24 * 60 * 60 * 1000 },
+  ];
+  const BAN_DURATIONS = [
+    { label: '1時間', ms: 60 * 60 * 1000 },
+    { label: '1日', ms: 24 * 60 * 60 * 1000 },
+    { label: '1週間', ms: 7 * 24 * 60 * 60 * 1000 },
+    { label: '30日', ms: 30 * 24 * 60 * 60 * 1000 },
+    { label: '1年', ms: 365 * 24 * 60 * 60 * 1000 },
+  ];
+  const MAX_MENTION_SUGGESTIONS = 6;
+  const ROLE_RANKS = ['member', 'moderator', 'owner'];
+  const ROLE_LABELS = { owner: 'オーナー', moderator: 'モデレーター' };
+  // This member's role in the current room and, while muted, when the mute ends.
+  let selfRole = 'member';
+  let selfMutedUntil = null;
+  let muteTimer = null;
+  // Open autocomplete list: where the `@query` starts in the input and which candidate is highlighted.
+  let mentionState = null;
 
   const LOCAL_MESSAGE_LIMIT = 500;
+  const messageCache = window.chatMessageCache || null;
+  if (messageCache) {
+    messageCache.setRoomLimit(LOCAL_MESSAGE_LIMIT);
+  }
+  // Messages cached while a history render is waiting on IndexedDB, so the render does not drop them.
+  let historyRenderBuffer = null;
+  let historyRenderId = 0;
+  const REACTION_CHOICES = ['👍', '❤️', '😂', '😮', '😢', '🙏'];
+  const RETENTION_PRESETS = ['forever', 'days:1', 'days:7', 'days:30', 'count:100', 'ephemeral'];
   let pendingScrollToBottom = false;
   let iconStatusTimer = null;
   let currentRoomUsers = [];
   let latestCallParticipants = [];
   const SCROLL_ANCHOR_THRESHOLD = 48;
+  const HISTORY_LOAD_THRESHOLD = 80;
+  const HISTORY_PAGE_SIZE = 50;
+  let historyCursor = null;
+  let hasMoreHistory = false;
+  let loadingHistory = false;
   let shouldAutoScroll = true;
   let actionsMenuOpen = false;
   let typingUsers = new Map();
@@ -110,6 +196,43 @@
   let liveMapMarkersLayer = null;
   const liveMapMarkers = new Map();
   let pendingLiveMapMessages = null;
+  let pendingReply = null;
+  let uploadToken = null;
+  // Lets a reconnecting socket take over this client's seat in the room instead of rejoining.
+  let resumeToken = null;
+  // Lets the service worker post queued messages to the room while no page is connected.
+  let roomPass = null;
+  // True once the server has accepted this socket into the room (after join or resume).
+  let roomSessionReady = false;
+  const outbox = window.chatOutbox || null;
+  // Unacknowledged outgoing messages for the current room, mirroring the IndexedDB outbox.
+  const outboxEntries = new Map();
+  const OUTBOX_ACK_TIMEOUT_MS = 10000;
+  // Last message each room member has read, keyed by member ID: { messageId, time }.
+  const readPositions = new Map();
+  // Room messages currently scrolled into view; the newest one is reported as read.
+  const visibleMessageElements = new Set();
+  const READ_REPORT_DELAY_MS = 1000;
+  let readReportTimer = null;
+  let readObserver = null;
+  let uploadingAttachment = false;
+  const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+  const THUMBNAIL_MAX_SIZE = 320;
+  const MAX_VOICE_DURATION_MS = 2 * 60 * 1000;
+  const VOICE_MIME_CANDIDATES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus', 'audio/mp4'];
+  let voiceRecording = null;
+  // Direct message conversations keyed by the other member's name; null means the room chat is shown.
+  let activeConversation = null;
+  const directConversations = new Map();
+  let roomUnreadCount = 0;
+  const SEARCH_PAGE_SIZE = 30;
+  const EXPORT_FORMAT_OPTIONS = [
+    { value: 'json', label: 'JSON(インポート用)' },
+    { value: 'csv', label: 'CSV' },
+    { value: 'html', label: 'HTML' },
+  ];
+  // The search whose results are listed: { room, params, criteria, last, offline }.
+  let searchState = null;
 
   function setLiveMapStatus(message) {
     if (!liveMapStatusEl) return;
@@ -248,7 +371,7 @@
     liveMap.fitBounds(bounds, { padding: [32, 32], maxZoom: 16 });
   }
 
-  function upsertLiveMapMarker({ user, location } = {}, { focus = true, announce = true } = {}) {
+  function upsertLiveMapMarker({ user, memberId, location } = {}, { focus = true, announce = true } = {}) {
     if (!location || typeof location.latitude !== 'number' || typeof location.longitude !== 'number') {
       return false;
     }
@@ -256,7 +379,7 @@
       return false;
     }
     const latLng = [location.latitude, location.longitude];
-    const key = user || 'anonymous';
+    const key = memberId || user || 'anonymous';
     let marker = liveMapMarkers.get(key);
     if (!marker) {
       marker = window.L.marker(latLng, {
@@ -309,7 +432,7 @@
       if (latitude === null || longitude === null) {
         return;
       }
-      const updated = upsertLiveMapMarker({ user, location: { latitude, longitude } }, { focus: false, announce: false });
+      const updated = upsertLiveMapMarker({ user, memberId: message.memberId, location: { latitude, longitude } }, { focus: false, announce: false });
       if (updated) {
         applied += 1;
       }
@@ -529,11 +652,11 @@
     }
   }
 
-  function registerTypingUser(user) {
-    if (!user || user === userName) {
+  function registerTypingUser({ user, memberId } = {}) {
+    if (!user || (memberId && memberId === selfMemberId)) {
       return;
     }
-    typingUsers.set(user, { name: user, expires: Date.now() + 6000 });
+    typingUsers.set(memberId || user, { name: user, expires: Date.now() + 6000 });
     updateTypingIndicator();
     if (typingIndicatorTimeout) {
       clearTimeout(typingIndicatorTimeout);
@@ -733,10 +856,25 @@
     const previousIcon = userIcon;
     setUserIcon(iconDataUrl);
     if (!joined || !ROOM) {
-      if (inCall) {
-        updateCallParticipation('update');
+      if (!sessionToken) {
+        return { ok: true };
+      }
+      // Outside a room the icon is saved straight to the account.
+      try {
+        const res = await fetch('/api/accounts/me', {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json', 'x-session-token': sessionToken },
+          body: JSON.stringify({ icon: iconDataUrl }),
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok || !data.ok) {
+          throw new Error(data.error || 'アイコンの更新に失敗しました。');
+        }
+        return { ok: true };
+      } catch (error) {
+        setUserIcon(previousIcon);
+        return { ok: false, error: error.message };
       }
-      return { ok: true };
     }
     const response = await emitProfileUpdate({ icon: iconDataUrl });
     if (!response || response.ok !== true) {
@@ -761,8 +899,11 @@
         found = true;
         next.push({
           id: entry.id,
+          memberId: entry.memberId,
           user: typeof update.user === 'string' ? update.user : entry.user,
           icon: Object.prototype.hasOwnProperty.call(update, 'icon') ? update.icon ?? null : entry.icon,
+          role: entry.role,
+          mutedUntil: entry.mutedUntil,
         });
       } else {
         next.push(entry);
@@ -771,8 +912,11 @@
     if (!found) {
       next.push({
         id: update.id,
+        memberId: typeof update.memberId === 'string' ? update.memberId : null,
         user: typeof update.user === 'string' ? update.user : '',
         icon: Object.prototype.hasOwnProperty.call(update, 'icon') ? update.icon ?? null : null,
+        role: 'member',
+        mutedUntil: null,
       });
     }
     currentRoomUsers = next;
@@ -780,8 +924,16 @@
   }
 
   function setInteractionEnabled(enabled) {
-    inputEl.disabled = !enabled;
-    sendBtn.disabled = !enabled;
+    // Muted members keep reading along but cannot post.
+    const canPost = enabled && !selfMutedUntil;
+    inputEl.disabled = !canPost;
+    sendBtn.disabled = !canPost;
+    if (attachFileBtn) {
+      attachFileBtn.disabled = !canPost || uploadingAttachment || activeConversation !== null;
+    }
+    if (recordVoiceBtn) {
+      recordVoiceBtn.disabled = !canPost || uploadingAttachment || activeConversation !== null;
+    }
     if (!enabled) {
       if (shareLocationBtn) {
         shareLocationBtn.disabled = true;
@@ -807,49 +959,109 @@
 
   setInteractionEnabled(false);
 
-  function getMessagesKey(room) {
-    return `${LOCAL_MESSAGES_PREFIX}${room}`;
+  function migrateLegacyMessageCache() {
+    if (!messageCache) return Promise.resolve();
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i += 1) {
+      const key = localStorage.key(i);
+      if (key && key.startsWith(LEGACY_MESSAGES_PREFIX)) {
+        keys.push(key);
+      }
+    }
+    return Promise.all(keys.map((key) => {
+      let messages = [];
+      try {
+        const parsed = JSON.parse(localStorage.getItem(key));
+        messages = Array.isArray(parsed) ? parsed : [];
+      } catch (error) {
+        console.warn('Discarding unreadable cached messages:', error);
+      }
+      // Messages cached before the server assigned IDs cannot be keyed and are dropped.
+      return messageCache.putMany(key.slice(LEGACY_MESSAGES_PREFIX.length), messages)
+        .then(() => localStorage.removeItem(key))
+        .catch((error) => {
+          console.warn('Failed to migrate cached messages:', error);
+        });
+    }));
   }
 
-  function loadLocalMessages(room) {
-    if (!room) return [];
-    try {
-      const raw = localStorage.getItem(getMessagesKey(room));
-      if (!raw) return [];
-      const parsed = JSON.parse(raw);
-      return Array.isArray(parsed) ? parsed : [];
-    } catch (error) {
-      console.warn('Failed to load local messages:', error);
-      return [];
-    }
+  const legacyCacheMigration = migrateLegacyMessageCache();
+
+  function readLocalMessages(room, range = {}) {
+    if (!room || !messageCache) return Promise.resolve([]);
+    return legacyCacheMigration
+      .then(() => messageCache.listRange(room, range))
+      .catch((error) => {
+        console.warn('Failed to load local messages:', error);
+        return [];
+      });
   }
 
   function saveLocalMessages(room, messages) {
-    if (!room) return;
-    try {
-      const trimmed = Array.isArray(messages)
-        ? messages.slice(-LOCAL_MESSAGE_LIMIT)
-        : [];
-      localStorage.setItem(getMessagesKey(room), JSON.stringify(trimmed));
-    } catch (error) {
-      console.warn('Failed to save messages:', error);
+    if (!room || !messageCache || !Array.isArray(messages) || messages.length === 0) return;
+    if (historyRenderBuffer && room === ROOM) {
+      historyRenderBuffer.push(...messages);
     }
+    messageCache.putMany(room, messages).catch((error) => {
+      console.warn('Failed to save messages:', error);
+    });
   }
 
   function appendLocalMessage(room, message) {
     if (!room || !message) return;
-    const messages = loadLocalMessages(room);
-    messages.push(message);
-    saveLocalMessages(room, messages);
+    saveLocalMessages(room, [message]);
+  }
+
+  function pruneLocalMessages(room, { ids, before } = {}) {
+    if (!room || !messageCache) return;
+    messageCache.prune(room, { ids, before }).catch((error) => {
+      console.warn('Failed to prune local messages:', error);
+    });
+  }
+
+  function updateLocalMessage(room, message) {
+    if (!room || !message || !message.id || !messageCache) return;
+    if (historyRenderBuffer && room === ROOM) {
+      historyRenderBuffer.push(message);
+    }
+    messageCache.update(room, message).catch((error) => {
+      console.warn('Failed to update local message:', error);
+    });
   }
 
   function clearLocalMessages(room) {
-    if (!room) return;
-    try {
-      localStorage.removeItem(getMessagesKey(room));
-    } catch (error) {
+    if (!room || !messageCache) return;
+    messageCache.clear(room).catch((error) => {
       console.warn('Failed to clear local messages:', error);
+    });
+  }
+
+  // IDs among `messages` that this client already has, either cached or on screen.
+  async function findKnownMessageIds(room, messages) {
+    const ids = messages.map((msg) => msg && msg.id).filter((id) => typeof id === 'string' && id);
+    const known = new Set(
+      Array.from(messagesEl.querySelectorAll('li[data-id]'))
+        .map((el) => el.dataset.id)
+        .filter((id) => ids.includes(id))
+    );
+    if (messageCache && ids.length > 0) {
+      try {
+        (await messageCache.getMany(room, ids)).forEach((msg) => known.add(msg.id));
+      } catch (error) {
+        console.warn('Failed to look up local messages:', error);
+      }
     }
+    return known;
+  }
+
+  function rebuildLiveMapFromCache() {
+    if (!messageCache) return;
+    const room = ROOM;
+    readLocalMessages(room).then((messages) => {
+      if (ROOM === room) {
+        rebuildLiveMapFromMessages(messages);
+      }
+    });
   }
 
   function mergeMessages(serverMessages = [], localMessages = []) {
@@ -869,7 +1081,8 @@
       const location = msg.location && typeof msg.location === 'object'
         ? `${msg.location.latitude ?? ''},${msg.location.longitude ?? ''}`
         : '';
-      const key = `${msg.user || ''}|${time}|${text}|${location}`;
+      // Server-assigned IDs are authoritative; the composite key only covers older cached messages.
+      const key = typeof msg.id === 'string' && msg.id ? `id:${msg.id}` : `${msg.user || ''}|${time}|${text}|${location}`;
       if (seen.has(key)) return;
       seen.add(key);
       unique.push(msg);
@@ -913,13 +1126,93 @@
 
   renderParticipants([]);
 
+  function applyRoomRole(role) {
+    selfRole = ROLE_RANKS.includes(role) ? role : 'member';
+    // Delete buttons on other members' messages are always rendered and only shown to moderators.
+    messagesEl.classList.toggle('can-moderate', selfRole !== 'member');
+  }
+
+  function applyMutedUntil(until) {
+    selfMutedUntil = typeof until === 'number' && until > Date.now() ? until : null;
+    clearTimeout(muteTimer);
+    muteTimer = selfMutedUntil ? setTimeout(() => applyMutedUntil(null), selfMutedUntil - Date.now()) : null;
+    if (joined) {
+      setInteractionEnabled(true);
+    }
+    updateComposerForConversation();
+  }
+
+  function canModerateMember(entry) {
+    if (!entry.memberId || entry.memberId === selfMemberId) return false;
+    const rank = ROLE_RANKS.indexOf(selfRole);
+    return rank >= ROLE_RANKS.indexOf('moderator') && rank > ROLE_RANKS.indexOf(entry.role);
+  }
+
+  function emitModeration(event, payload, fallbackError) {
+    socket.emit(event, payload, (response = {}) => {
+      if (!response || response.ok !== true) {
+        alert(response && response.error ? response.error : fallbackError);
+      }
+    });
+  }
+
+  function createModerationControls({ memberId, user, role, mutedUntil }) {
+    const controls = document.createElement('div');
+    controls.className = 'moderation-controls';
+    const kickBtn = document.createElement('button');
+    kickBtn.type = 'button';
+    kickBtn.textContent = 'キック';
+    kickBtn.addEventListener('click', () => {
+      if (!confirm(`${user}をルームから退出させますか？`)) return;
+      emitModeration('kick-member', { memberId }, '退出させられませんでした。');
+    });
+    controls.appendChild(kickBtn);
+    const muteSelect = document.createElement('select');
+    muteSelect.setAttribute('aria-label', `${user}のミュート`);
+    muteSelect.appendChild(new Option(mutedUntil ? `${formatMuteEnd(mutedUntil)}までミュート中` : 'ミュート…', ''));
+    MUTE_DURATIONS.forEach(({ label, ms }) => {
+      muteSelect.appendChild(new Option(label, String(ms)));
+    });
+    if (mutedUntil) {
+      muteSelect.appendChild(new Option('ミュート解除', '0'));
+    }
+    muteSelect.addEventListener('change', () => {
+      if (muteSelect.value === '') return;
+      emitModeration('mute-member', { memberId, duration: Number(muteSelect.value) }, 'ミュートを変更できませんでした。');
+    });
+    controls.appendChild(muteSelect);
+    if (selfRole === 'owner') {
+      const roleBtn = document.createElement('button');
+      roleBtn.type = 'button';
+      const isModerator = role === 'moderator';
+      roleBtn.textContent = isModerator ? 'モデレーターを外す' : 'モデレーターにする';
+      roleBtn.addEventListener('click', () => {
+        emitModeration('set-room-role', { memberId, role: isModerator ? 'member' : 'moderator' }, '役割を変更できませんでした。');
+      });
+      controls.appendChild(roleBtn);
+    }
+    return controls;
+  }
+
   function renderRoomUsers(users) {
     if (Array.isArray(users)) {
-      currentRoomUsers = users.map(({ id, user, icon }) => ({
+      currentRoomUsers = users.map(({ id, memberId, user, icon, role, mutedUntil }) => ({
         id,
+        memberId: typeof memberId === 'string' ? memberId : null,
         user: typeof user === 'string' ? user : '',
         icon: typeof icon === 'string' && icon ? icon : null,
+        role: ROLE_RANKS.includes(role) ? role : 'member',
+        mutedUntil: typeof mutedUntil === 'number' ? mutedUntil : null,
       }));
+      const self = currentRoomUsers.find((entry) => entry.memberId && entry.memberId === selfMemberId);
+      if (self) {
+        applyRoomRole(self.role);
+      }
+      currentRoomUsers.forEach((entry) => {
+        if (entry.memberId && directConversations.has(entry.memberId)) {
+          directConversations.get(entry.memberId).name = entry.user;
+        }
+      });
     }
     const list = currentRoomUsers;
     roomUserListEl.innerHTML = '';
@@ -931,17 +1224,47 @@
       return;
     }
 
-    list.forEach(({ id, user, icon }) => {
+    list.forEach((entry) => {
+      const { memberId, user, icon, role, mutedUntil } = entry;
       const item = document.createElement('li');
       const avatar = document.createElement('img');
       avatar.src = icon || DEFAULT_ICON_SRC;
       avatar.alt = `${user || 'ユーザー'}のアイコン`;
       item.appendChild(avatar);
+      const isSelfMember = Boolean(memberId) && memberId === selfMemberId;
       const name = document.createElement('span');
-      name.textContent = id === socket.id ? `${user || 'ゲスト'} (自分)` : user || 'ゲスト';
+      name.textContent = isSelfMember ? `${user || 'ゲスト'} (自分)` : user || 'ゲスト';
       item.appendChild(name);
-      if (id === socket.id) {
+      if (ROLE_LABELS[role]) {
+        const badge = document.createElement('span');
+        badge.className = `role-badge role-badge--${role}`;
+        badge.textContent = ROLE_LABELS[role];
+        item.appendChild(badge);
+      }
+      if (mutedUntil && mutedUntil > Date.now()) {
+        const mutedBadge = document.createElement('span');
+        mutedBadge.className = 'muted-badge';
+        mutedBadge.textContent = '🔇';
+        mutedBadge.title = `${formatMuteEnd(mutedUntil)}までミュート中`;
+        item.appendChild(mutedBadge);
+      }
+      if (isSelfMember) {
         item.classList.add('self');
+      } else if (memberId) {
+        const dmBtn = document.createElement('button');
+        dmBtn.type = 'button';
+        dmBtn.className = 'dm-button';
+        dmBtn.textContent = 'DM';
+        dmBtn.setAttribute('aria-label', `${user}にダイレクトメッセージを送る`);
+        dmBtn.addEventListener('click', () => {
+          getDirectConversation(memberId, user);
+          setActiveConversation(memberId);
+        });
+        item.appendChild(dmBtn);
+      }
+      if (canModerateMember(entry)) {
+        item.classList.add('has-moderation');
+        item.appendChild(createModerationControls(entry));
       }
       roomUserListEl.appendChild(item);
     });
@@ -1009,18 +1332,18 @@
       if (!raw) return null;
       const parsed = JSON.parse(raw);
       if (!parsed || typeof parsed !== 'object') return null;
-      const { room, user, password } = parsed;
-      if (!room || !user || !password) return null;
-      return { room, user, password };
+      const { room, password } = parsed;
+      if (!room || !password) return null;
+      return { room, password };
     } catch (error) {
       console.warn('Failed to load active session:', error);
       return null;
     }
   }
 
-  function saveActiveSession({ room, user, password }) {
+  function saveActiveSession({ room, password }) {
     try {
-      const payload = JSON.stringify({ room, user, password });
+      const payload = JSON.stringify({ room, password });
       sessionStorage.setItem(ACTIVE_SESSION_KEY, payload);
     } catch (error) {
       console.warn('Failed to persist active session:', error);
@@ -1035,9 +1358,9 @@
     }
   }
 
-  const storedUserName = localStorage.getItem('userName');
-  if (storedUserName) {
-    userNameInput.value = storedUserName;
+  const storedUsername = localStorage.getItem(ACCOUNT_USERNAME_KEY);
+  if (storedUsername) {
+    userNameInput.value = storedUsername;
   }
   const storedRoom = localStorage.getItem('lastRoom');
   if (storedRoom) {
@@ -1047,25 +1370,171 @@
   const activeSession = loadActiveSession();
   if (activeSession) {
     roomNameInput.value = activeSession.room;
-    userNameInput.value = activeSession.user;
     passwordInput.value = activeSession.password;
   }
 
+  // Push notifications open the app at /?room=<name>; preselect that room unless a session is being restored.
+  const linkedRoom = new URLSearchParams(window.location.search).get('room');
+  if (linkedRoom) {
+    if (!activeSession) {
+      roomNameInput.value = linkedRoom;
+    }
+    window.history.replaceState(null, '', window.location.pathname);
+  }
+
+  function showAccountStep(message = '') {
+    currentAccount = null;
+    if (accountSection) accountSection.classList.remove('hidden');
+    if (roomJoinSection) roomJoinSection.classList.add('hidden');
+    accountError.textContent = message;
+    accountPasswordInput.value = '';
+    if (userNameInput.value) {
+      accountPasswordInput.focus();
+    } else {
+      userNameInput.focus();
+    }
+  }
+
+  function applyAccount(account) {
+    currentAccount = account;
+    if (accountNameEl) {
+      accountNameEl.textContent = `${account.displayName} (@${account.username}) でログイン中`;
+    }
+    setUserIcon(account.icon ?? null);
+    if (accountSection) accountSection.classList.add('hidden');
+    if (roomJoinSection) roomJoinSection.classList.remove('hidden');
+    accountError.textContent = '';
+    if (roomNameInput.value) {
+      passwordInput.focus();
+    } else {
+      roomNameInput.focus();
+    }
+  }
+
+  function connectWithSession(token) {
+    sessionToken = token;
+    try {
+      localStorage.setItem(SESSION_TOKEN_KEY, token);
+    } catch (error) {
+      console.warn('Failed to persist session token:', error);
+    }
+    socket.auth = { token };
+    if (!socket.connected) {
+      socket.connect();
+    }
+  }
+
+  function clearSessionToken() {
+    sessionToken = null;
+    try {
+      localStorage.removeItem(SESSION_TOKEN_KEY);
+    } catch (error) {
+      console.warn('Failed to clear session token:', error);
+    }
+  }
+
+  async function restoreAccountSession() {
+    if (!sessionToken) {
+      showAccountStep();
+      return;
+    }
+    try {
+      const res = await fetch('/api/accounts/me', {
+        headers: { 'x-session-token': sessionToken },
+      });
+      const data = await res.json().catch(() => ({}));
+      if (res.status === 401) {
+        clearSessionToken();
+        showAccountStep('ログインの有効期限が切れました。もう一度ログインしてください。');
+        return;
+      }
+      if (!res.ok || !data.ok) {
+        throw new Error(data.error || 'アカウント情報を取得できませんでした。');
+      }
+      connectWithSession(sessionToken);
+      applyAccount(data.account);
+      if (activeSession && !joined) {
+        attemptJoin();
+      }
+    } catch (error) {
+      showAccountStep(error && error.message ? error.message : 'サーバーに接続できませんでした。');
+    }
+  }
+
+  async function submitAccount(mode) {
+    if (loginBtn.disabled) return;
+    const username = userNameInput.value.trim();
+    const password = accountPasswordInput.value;
+    if (!username) {
+      accountError.textContent = 'ユーザーIDを入力してください。';
+      userNameInput.focus();
+      return;
+    }
+    if (!password) {
+      accountError.textContent = 'パスワードを入力してください。';
+      accountPasswordInput.focus();
+      return;
+    }
+    const body = { username, password };
+    if (mode === 'register') {
+      body.displayName = displayNameInput.value.trim();
+    }
+    accountError.textContent = '';
+    loginBtn.disabled = true;
+    registerBtn.disabled = true;
+    try {
+      const res = await fetch(mode === 'register' ? '/api/accounts/register' : '/api/accounts/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok || !data.ok) {
+        throw new Error(data.error || (mode === 'register' ? '登録に失敗しました。' : 'ログインに失敗しました。'));
+      }
+      localStorage.setItem(ACCOUNT_USERNAME_KEY, data.account.username);
+      accountPasswordInput.value = '';
+      displayNameInput.value = '';
+      connectWithSession(data.token);
+      applyAccount(data.account);
+    } catch (error) {
+      accountError.textContent = error.message;
+      accountPasswordInput.focus();
+      accountPasswordInput.select();
+    } finally {
+      loginBtn.disabled = false;
+      registerBtn.disabled = false;
+    }
+  }
+
+  async function logout() {
+    const token = sessionToken;
+    // The server forgets this browser's push subscription together with the session.
+    unsubscribePush();
+    clearSessionToken();
+    clearActiveSession();
+    socket.disconnect();
+    showAccountStep();
+    if (!token) return;
+    try {
+      await fetch('/api/accounts/logout', {
+        method: 'POST',
+        headers: { 'x-session-token': token },
+      });
+    } catch (error) {
+      console.warn('Failed to revoke session:', error);
+    }
+  }
+
   function attemptJoin() {
-    if (joinBtn.disabled) return;
+    if (joinBtn.disabled || !currentAccount) return;
     const roomName = roomNameInput.value.trim();
-    const name = userNameInput.value.trim();
     const password = passwordInput.value.trim();
     if (!roomName) {
       joinError.textContent = 'ルーム名を入力してください。';
       roomNameInput.focus();
       return;
     }
-    if (!name) {
-      joinError.textContent = 'ユーザー名を入力してください。';
-      userNameInput.focus();
-      return;
-    }
     if (!password) {
       joinError.textContent = 'パスワードを入力してください。';
       passwordInput.focus();
@@ -1074,10 +1543,13 @@
 
     joinError.textContent = '';
     joinBtn.disabled = true;
-    socket.emit('join', { room: roomName, user: name, password, icon: userIcon || null }, (response) => {
+    socket.emit('join', { room: roomName, password }, (response) => {
       joinBtn.disabled = false;
       if (!response || response.ok !== true) {
         joinError.textContent = response && response.error ? response.error : 'ルームに参加できませんでした。';
+        if (response && response.bannedUntil) {
+          joinError.textContent = `このルームへの参加は${formatMuteEnd(response.bannedUntil)}まで禁止されています。`;
+        }
         passwordInput.focus();
         passwordInput.select();
         clearActiveSession();
@@ -1085,21 +1557,33 @@
       }
 
       ROOM = response.room || roomName;
-      userName = name;
+      userName = typeof response.user === 'string' ? response.user : currentAccount.displayName;
+      selfMemberId = typeof response.memberId === 'string' ? response.memberId : currentAccount.id;
+      setUserIcon(response.icon ?? null);
       joined = true;
-      localStorage.setItem('userName', userName);
+      uploadToken = typeof response.uploadToken === 'string' ? response.uploadToken : null;
+      resumeToken = typeof response.resumeToken === 'string' ? response.resumeToken : null;
+      roomPass = typeof response.roomPass === 'string' ? response.roomPass : null;
+      roomSessionReady = true;
+      applyRoomRole(response.role);
+      applyMutedUntil(response.mutedUntil);
       localStorage.setItem('lastRoom', ROOM);
-      saveActiveSession({ room: ROOM, user: userName, password });
-      const serverMessages = Array.isArray(response.messages) ? response.messages : [];
-      const localMessages = loadLocalMessages(ROOM);
-      const mergedMessages = mergeMessages(serverMessages, localMessages);
-      saveLocalMessages(ROOM, mergedMessages);
-      renderMessages(mergedMessages);
+      saveActiveSession({ room: ROOM, password });
       joinModal.classList.add('hidden');
       appContent.classList.remove('hidden');
       ensureLiveMapReady();
       refreshLiveMapSize();
-      rebuildLiveMapFromMessages(mergedMessages);
+      setReadPositions(response.readPositions);
+      const lastRead = readPositions.get(selfMemberId) || null;
+      renderLatestHistory(Array.isArray(response.messages) ? response.messages : [], response.hasMore === true)
+        .then((rendered) => {
+          if (rendered) {
+            insertUnreadDivider(lastRead);
+            flushOutbox();
+          }
+        });
+      registerPushSubscription();
+      renderNotificationSetting();
       passwordInput.value = '';
       setInteractionEnabled(true);
       refreshCallButtons();
@@ -1108,6 +1592,208 @@
     });
   }
 
+  // Resolves to false when a newer render or a room change superseded this one.
+  async function renderLatestHistory(serverMessages, hasMore) {
+    const room = ROOM;
+    const renderId = ++historyRenderId;
+    saveLocalMessages(room, serverMessages);
+    hasMoreHistory = hasMore && serverMessages.length > 0;
+    historyCursor = serverMessages.length > 0 ? serverMessages[0].id || null : null;
+    // Older cached messages are paged in from the server on scroll instead of all at once.
+    const oldestServerTime = serverMessages.length > 0 ? serverMessages[0].time : 0;
+    historyRenderBuffer = [];
+    const localMessages = await readLocalMessages(room, hasMoreHistory ? { since: oldestServerTime } : {});
+    if (renderId !== historyRenderId || ROOM !== room) return false;
+    // Latest first, so edits that arrived during the read win over the server snapshot.
+    const arrived = historyRenderBuffer
+      .filter((msg) => !hasMoreHistory || (typeof msg.time === 'number' && msg.time >= oldestServerTime))
+      .reverse();
+    historyRenderBuffer = null;
+    const visibleMessages = mergeMessages([...arrived, ...serverMessages], localMessages);
+    renderMessages(visibleMessages);
+    rebuildLiveMapFromMessages(visibleMessages);
+    fillViewportWithHistory();
+    return true;
+  }
+
+  async function applyMissedMessages(messages) {
+    const room = ROOM;
+    const known = await findKnownMessageIds(room, messages);
+    if (ROOM !== room) return false;
+    messages.forEach((msg) => {
+      if (msg && known.has(msg.id)) {
+        applyMessageUpdate(msg);
+      } else {
+        addMessage(msg);
+      }
+    });
+    return true;
+  }
+
+  function getLastKnownMessageId() {
+    const items = messagesEl.querySelectorAll('li[data-id]');
+    return items.length > 0 ? items[items.length - 1].dataset.id : null;
+  }
+
+  function setReadPositions(positions) {
+    readPositions.clear();
+    (Array.isArray(positions) ? positions : []).forEach((position) => {
+      if (position && typeof position.memberId === 'string' && typeof position.time === 'number') {
+        readPositions.set(position.memberId, { messageId: position.messageId, time: position.time });
+      }
+    });
+  }
+
+  function formatReadReceipt(time) {
+    let count = 0;
+    readPositions.forEach((position, memberId) => {
+      if (memberId !== selfMemberId && position.time >= time) {
+        count += 1;
+      }
+    });
+    return count > 0 ? `既読 ${count}` : '';
+  }
+
+  function updateReadReceipts() {
+    messagesEl.querySelectorAll('li.message--self[data-id]').forEach((li) => {
+      const receiptEl = li.querySelector('.read-receipt');
+      if (receiptEl) {
+        receiptEl.textContent = formatReadReceipt(Number(li.dataset.time));
+      }
+    });
+  }
+
+  // Marks where new messages start when coming back to a room, based on the read position from before.
+  function insertUnreadDivider(lastRead) {
+    const existing = messagesEl.querySelector('.unread-divider');
+    if (existing) {
+      existing.remove();
+    }
+    if (!lastRead) return;
+    const firstUnread = Array.from(messagesEl.querySelectorAll('li.message--other[data-id]')).find(
+      (li) => Number(li.dataset.time) > lastRead.time
+    );
+    if (!firstUnread) return;
+    const divider = document.createElement('li');
+    divider.className = 'unread-divider';
+    divider.setAttribute('role', 'separator');
+    divider.textContent = 'ここから未読';
+    messagesEl.insertBefore(divider, firstUnread);
+  }
+
+  function reportReadPosition() {
+    readReportTimer = null;
+    if (!joined || !roomSessionReady || !socket.connected || document.hidden || activeConversation) return;
+    let latest = null;
+    visibleMessageElements.forEach((li) => {
+      if (!li.isConnected || !li.dataset.id) return;
+      if (!latest || Number(li.dataset.time) > Number(latest.dataset.time)) {
+        latest = li;
+      }
+    });
+    if (!latest) return;
+    const time = Number(latest.dataset.time);
+    const own = readPositions.get(selfMemberId);
+    if (own && own.time >= time) return;
+    readPositions.set(selfMemberId, { messageId: latest.dataset.id, time });
+    socket.emit('read', { messageId: latest.dataset.id });
+  }
+
+  function scheduleReadReport() {
+    if (readReportTimer) return;
+    readReportTimer = setTimeout(reportReadPosition, READ_REPORT_DELAY_MS);
+  }
+
+  function observeMessageVisibility() {
+    if (!('IntersectionObserver' in window) || !('MutationObserver' in window)) return;
+    readObserver = new IntersectionObserver(
+      (entries) => {
+        entries.forEach((entry) => {
+          const rootHeight = entry.rootBounds ? entry.rootBounds.height : 0;
+          // Messages taller than half the viewport count once they fill half of it.
+          const seen = entry.isIntersecting
+            && (entry.intersectionRatio >= 0.5 || (rootHeight > 0 && entry.intersectionRect.height >= rootHeight / 2));
+          if (seen) {
+            visibleMessageElements.add(entry.target);
+          } else {
+            visibleMessageElements.delete(entry.target);
+          }
+        });
+        if (visibleMessageElements.size > 0) {
+          scheduleReadReport();
+        }
+      },
+      { root: chatScrollRegion, threshold: [0, 0.5, 1] }
+    );
+    new MutationObserver((records) => {
+      records.forEach((record) => {
+        record.addedNodes.forEach((node) => {
+          if (node.nodeType === 1 && node.dataset.id) {
+            readObserver.observe(node);
+          }
+        });
+        record.removedNodes.forEach((node) => {
+          if (node.nodeType === 1) {
+            readObserver.unobserve(node);
+            visibleMessageElements.delete(node);
+          }
+        });
+      });
+    }).observe(messagesEl, { childList: true });
+  }
+
+  function resumeRoomSession() {
+    const resumingRoom = ROOM;
+    socket.emit('resume', { token: resumeToken, after: getLastKnownMessageId() }, (response = {}) => {
+      if (!joined || ROOM !== resumingRoom) return;
+      if (!response || response.ok !== true) {
+        // The grace window has passed (or the server restarted); fall back to a normal join.
+        const session = loadActiveSession();
+        exitCurrentRoom(response && response.error ? response.error : 'ルームへの再接続に失敗しました。');
+        if (session && session.room === resumingRoom) {
+          roomNameInput.value = session.room;
+          passwordInput.value = session.password;
+          attemptJoin();
+        }
+        return;
+      }
+      resumeToken = typeof response.resumeToken === 'string' ? response.resumeToken : null;
+      uploadToken = typeof response.uploadToken === 'string' ? response.uploadToken : null;
+      roomPass = typeof response.roomPass === 'string' ? response.roomPass : null;
+      roomSessionReady = true;
+      applyRoomRole(response.role);
+      applyMutedUntil(response.mutedUntil);
+      if (typeof response.user === 'string') {
+        userName = response.user;
+      }
+      setReadPositions(response.readPositions);
+      const messages = Array.isArray(response.messages) ? response.messages : [];
+      const applied = response.reset
+        ? renderLatestHistory(messages, response.hasMore === true)
+        : applyMissedMessages(messages);
+      applied.then((ok) => {
+        if (ok) {
+          updateReadReceipts();
+          scheduleReadReport();
+          flushOutbox();
+        }
+      });
+      directConversations.forEach((conversation) => {
+        conversation.loaded = false;
+      });
+      if (activeConversation) {
+        loadDirectHistory(activeConversation);
+      }
+      if (inCall) {
+        // Peers were connected to the old socket; they reconnect once the updated participant list arrives.
+        removeAllPeerConnections();
+        if (!response.inCall) {
+          updateCallParticipation('join');
+        }
+      }
+    });
+  }
+
   function exitCurrentRoom(message, { clearLocal = false } = {}) {
     const previousRoom = ROOM;
     if (inCall) {
@@ -1126,6 +1812,27 @@
     renderRoomUsers([]);
     typingUsers.clear();
     updateTypingIndicator();
+    clearPendingReply();
+    historyCursor = null;
+    hasMoreHistory = false;
+    loadingHistory = false;
+    stopVoiceRecording({ discard: true });
+    resetDirectConversations();
+    uploadToken = null;
+    resumeToken = null;
+    roomPass = null;
+    roomSessionReady = false;
+    outboxEntries.clear();
+    readPositions.clear();
+    visibleMessageElements.clear();
+    applyRoomRole('member');
+    applyMutedUntil(null);
+    clearTimeout(readReportTimer);
+    readReportTimer = null;
+    historyRenderBuffer = null;
+    closeMentionSuggestions();
+    closeSearchPanel({ reset: true });
+    setUploadStatus('');
     hideNewMessagesButton();
     shouldAutoScroll = true;
     setIconStatus('');
@@ -1140,6 +1847,7 @@
       clearLocalMessages(previousRoom);
     }
     ROOM = null;
+    renderNotificationSetting();
     clearActiveSession();
     updateLeaveRoomButton();
     if (adminModal) {
@@ -1155,7 +1863,6 @@
 
     const roomName = roomNameInput.value.trim();
     const password = passwordInput.value.trim();
-    const name = userNameInput.value.trim();
 
     if (createRoomMessage) {
       createRoomMessage.textContent = '';
@@ -1178,7 +1885,8 @@
     createRoomBtn.disabled = true;
     createRoomBtn.textContent = '作成中…';
 
-    socket.emit('create-room', { name: roomName, password }, (data) => {
+    const retention = parseRetentionOption(roomRetentionInput ? roomRetentionInput.value : 'forever');
+    socket.emit('create-room', { name: roomName, password, retention }, (data) => {
       const restoreButtonState = () => {
         createRoomBtn.disabled = false;
         createRoomBtn.textContent = originalLabel;
@@ -1193,15 +1901,6 @@
 
       renderRoomOptionsList(Array.isArray(data.rooms) ? data.rooms : []);
 
-      if (!name) {
-        if (createRoomMessage) {
-          createRoomMessage.textContent = 'ルームを作成しました。ユーザー名を入力して参加してください。';
-        }
-        userNameInput.focus();
-        restoreButtonState();
-        return;
-      }
-
       if (createRoomMessage) {
         createRoomMessage.textContent = 'ルームを作成しました。参加しています…';
       }
@@ -1221,27 +1920,33 @@
   });
   userNameInput.addEventListener('keydown', (event) => {
     if (event.key === 'Enter') {
-      attemptJoin();
+      submitAccount('login');
     }
   });
+  accountPasswordInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') {
+      submitAccount('login');
+    }
+  });
+  loginBtn.addEventListener('click', () => submitAccount('login'));
+  registerBtn.addEventListener('click', () => submitAccount('register'));
+  if (logoutBtn) {
+    logoutBtn.addEventListener('click', logout);
+  }
   roomNameInput.addEventListener('keydown', (event) => {
     if (event.key === 'Enter') {
       attemptJoin();
     }
   });
 
-  if (!activeSession) {
-    if (roomNameInput.value) {
-      if (userNameInput.value) {
-        passwordInput.focus();
-      } else {
-        userNameInput.focus();
-      }
-    } else {
-      roomNameInput.focus();
+  document.addEventListener('visibilitychange', () => {
+    if (!document.hidden && visibleMessageElements.size > 0) {
+      scheduleReadReport();
     }
-  }
+  });
+  observeMessageVisibility();
 
+  restoreAccountSession();
   fetchRooms();
   requestNotificationPermission();
 
@@ -1262,6 +1967,22 @@
     }
   }
 
+  if (openSearchBtn && searchPanel) {
+    openSearchBtn.addEventListener('click', () => {
+      if (searchPanel.hidden) {
+        openSearchPanel();
+      } else {
+        closeSearchPanel();
+      }
+    });
+    closeSearchBtn.addEventListener('click', () => closeSearchPanel());
+    searchForm.addEventListener('submit', (event) => {
+      event.preventDefault();
+      runSearch();
+    });
+    searchMoreBtn.addEventListener('click', () => runSearch({ more: true }));
+  }
+
   if (themeToggleBtn) {
     themeToggleBtn.addEventListener('click', (event) => {
       if (event.shiftKey) {
@@ -1303,6 +2024,9 @@
       if (shouldAutoScroll) {
         hideNewMessagesButton();
       }
+      if (chatScrollRegion.scrollTop <= HISTORY_LOAD_THRESHOLD) {
+        loadOlderMessages();
+      }
     });
   }
 
@@ -1322,14 +2046,6 @@
   document.addEventListener('click', handleGlobalClick);
   document.addEventListener('keydown', handleGlobalKeydown);
 
-  if (activeSession) {
-    setTimeout(() => {
-      if (!joined) {
-        attemptJoin();
-      }
-    }, 0);
-  }
-
   if (refreshAppBtn) {
     refreshAppBtn.addEventListener('click', () => {
       refreshAppBtn.disabled = true;
@@ -1345,6 +2061,7 @@
       if (adminToken) {
         setAdminView(true);
         loadAdminRooms();
+        loadGlobalBlocklist();
       } else {
         setAdminView(false);
         adminPasswordInput.value = '';
@@ -1388,6 +2105,7 @@
       adminPasswordInput.value = '';
       setAdminView(true);
       renderAdminRooms(data.rooms || []);
+      loadGlobalBlocklist();
       fetchRooms();
     } catch (error) {
       console.warn('管理者ログインに失敗しました:', error);
@@ -1438,7 +2156,11 @@
             'Content-Type': 'application/json',
             'x-admin-token': adminToken,
           },
-          body: JSON.stringify({ name, password }),
+          body: JSON.stringify({
+            name,
+            password,
+            retention: parseRetentionOption(newRoomRetentionInput ? newRoomRetentionInput.value : 'forever'),
+          }),
         });
         const data = await response.json().catch(() => ({}));
         if (response.status === 401) {
@@ -1454,6 +2176,7 @@
         }
         newRoomNameInput.value = '';
         newRoomPasswordInput.value = '';
+        populateRetentionSelect(newRoomRetentionInput);
         renderAdminRooms(data.rooms || []);
         fetchRooms();
       } catch (error) {
@@ -1542,27 +2265,170 @@
     });
   }
 
-  function createMessageElement(message, { previousUser } = {}) {
-    if (!message || typeof message !== 'object') return null;
-    const rawUser = typeof message.user === 'string' ? message.user : '';
-    const sanitizedText = typeof message.text === 'string' ? message.text : '';
-    const icon = typeof message.icon === 'string' && message.icon ? message.icon : null;
-    const hasLocation = message.location && typeof message.location === 'object';
-    const latitude = hasLocation && typeof message.location.latitude === 'number'
-      ? message.location.latitude
-      : null;
-    const longitude = hasLocation && typeof message.location.longitude === 'number'
-      ? message.location.longitude
-      : null;
-    const location = latitude !== null && longitude !== null ? { latitude, longitude } : null;
-    const timestampValue = typeof message.time === 'number' ? message.time : Date.now();
-    const timestampDate = new Date(timestampValue);
+  // Fill a message paragraph with its text, wrapping each `@name` the server resolved to a member.
+  function renderMessageText(textEl, text, mentions) {
+    if (!mentions.length || !text.includes('@')) {
+      textEl.textContent = text;
+      return;
+    }
+    const names = mentions
+      .map((mention) => ({ ...mention, lower: mention.name.toLowerCase() }))
+      .sort((a, b) => b.lower.length - a.lower.length);
+    const lower = text.toLowerCase();
+    let cursor = 0;
+    for (let index = lower.indexOf('@'); index !== -1; index = lower.indexOf('@', index + 1)) {
+      if (index < cursor) continue;
+      const match = names.find((mention) => lower.startsWith(mention.lower, index + 1));
+      if (!match) continue;
+      textEl.appendChild(document.createTextNode(text.slice(cursor, index)));
+      const end = index + 1 + match.lower.length;
+      const span = document.createElement('span');
+      span.className = match.memberId === selfMemberId ? 'mention mention--self' : 'mention';
+      span.textContent = text.slice(index, end);
+      textEl.appendChild(span);
+      cursor = end;
+    }
+    textEl.appendChild(document.createTextNode(text.slice(cursor)));
+  }
+
+  function closeMentionSuggestions() {
+    mentionState = null;
+    if (!mentionSuggestionsEl) return;
+    mentionSuggestionsEl.hidden = true;
+    mentionSuggestionsEl.innerHTML = '';
+    inputEl.removeAttribute('aria-activedescendant');
+  }
+
+  function renderMentionSuggestions() {
+    mentionSuggestionsEl.innerHTML = '';
+    mentionState.items.forEach((entry, index) => {
+      const item = document.createElement('li');
+      item.id = `mention-option-${index}`;
+      item.setAttribute('role', 'option');
+      item.setAttribute('aria-selected', String(index === mentionState.activeIndex));
+      item.className = index === mentionState.activeIndex ? 'active' : '';
+      item.textContent = entry.user;
+      item.addEventListener('mousedown', (event) => {
+        event.preventDefault();
+        insertMention(entry);
+      });
+      mentionSuggestionsEl.appendChild(item);
+    });
+    mentionSuggestionsEl.hidden = false;
+    inputEl.setAttribute('aria-activedescendant', `mention-option-${mentionState.activeIndex}`);
+  }
+
+  // Offer room members whose name starts with (or contains) the `@query` right before the caret.
+  function updateMentionSuggestions() {
+    if (!mentionSuggestionsEl || !joined || activeConversation) {
+      closeMentionSuggestions();
+      return;
+    }
+    const caret = inputEl.selectionStart ?? inputEl.value.length;
+    const match = /(^|[^A-Za-z0-9_])@([^\s@]*)$/.exec(inputEl.value.slice(0, caret));
+    if (!match) {
+      closeMentionSuggestions();
+      return;
+    }
+    const query = match[2].toLowerCase();
+    const others = currentRoomUsers.filter((entry) => entry.user && entry.memberId !== selfMemberId);
+    const items = [
+      ...others.filter((entry) => entry.user.toLowerCase().startsWith(query)),
+      ...others.filter((entry) => !entry.user.toLowerCase().startsWith(query) && entry.user.toLowerCase().includes(query)),
+    ].slice(0, MAX_MENTION_SUGGESTIONS);
+    if (items.length === 0) {
+      closeMentionSuggestions();
+      return;
+    }
+    mentionState = { start: caret - match[2].length - 1, end: caret, items, activeIndex: 0 };
+    renderMentionSuggestions();
+  }
+
+  function insertMention(entry) {
+    if (!mentionState) return;
+    const { start, end } = mentionState;
+    const before = inputEl.value.slice(0, start);
+    const after = inputEl.value.slice(end);
+    const inserted = `@${entry.user} `;
+    inputEl.value = `${before}${inserted}${after.replace(/^ /, '')}`;
+    const caret = before.length + inserted.length;
+    inputEl.setSelectionRange(caret, caret);
+    closeMentionSuggestions();
+    inputEl.focus();
+  }
+
+  // Returns true when the key was used by the suggestion list.
+  function handleMentionKeydown(event) {
+    const count = mentionState.items.length;
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      mentionState.activeIndex = (mentionState.activeIndex + step + count) % count;
+      renderMentionSuggestions();
+      return true;
+    }
+    if (event.key === 'Enter' || event.key === 'Tab') {
+      event.preventDefault();
+      insertMention(mentionState.items[mentionState.activeIndex]);
+      return true;
+    }
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      closeMentionSuggestions();
+      return true;
+    }
+    return false;
+  }
+
+  function createMessageElement(message, { previousUser, interactive = true } = {}) {
+    if (!message || typeof message !== 'object') return null;
+    const rawUser = typeof message.user === 'string' ? message.user : '';
+    const sanitizedText = typeof message.text === 'string' ? message.text : '';
+    const icon = typeof message.icon === 'string' && message.icon ? message.icon : null;
+    const hasLocation = message.location && typeof message.location === 'object';
+    const latitude = hasLocation && typeof message.location.latitude === 'number'
+      ? message.location.latitude
+      : null;
+    const longitude = hasLocation && typeof message.location.longitude === 'number'
+      ? message.location.longitude
+      : null;
+    const location = latitude !== null && longitude !== null ? { latitude, longitude } : null;
+    const timestampValue = typeof message.time === 'number' ? message.time : Date.now();
+    const timestampDate = new Date(timestampValue);
     const timestamp = timestampDate.toLocaleTimeString();
+    const id = typeof message.id === 'string' && message.id ? message.id : null;
+    const senderId = typeof message.senderId === 'string' && message.senderId ? message.senderId : null;
+    const memberId = typeof message.memberId === 'string' && message.memberId ? message.memberId : null;
+    const clientId = typeof message.clientId === 'string' && message.clientId ? message.clientId : null;
+    const mentions = Array.isArray(message.mentions)
+      ? message.mentions.filter((mention) => mention && typeof mention.name === 'string' && mention.name)
+      : [];
+    const deliveryStatus = !id && (message.deliveryStatus === 'pending' || message.deliveryStatus === 'failed')
+      ? message.deliveryStatus
+      : null;
+    const isOwnMessage = Boolean(memberId && selfMemberId && memberId === selfMemberId);
+    const editedAt = typeof message.editedAt === 'number' ? message.editedAt : null;
+    const deleted = message.deleted === true;
+    const replyTo = message.replyTo && typeof message.replyTo === 'object' && typeof message.replyTo.id === 'string'
+      ? message.replyTo
+      : null;
+    const reactions = Array.isArray(message.reactions)
+      ? message.reactions.filter((reaction) => reaction && typeof reaction.emoji === 'string' && Array.isArray(reaction.users))
+      : [];
 
     const li = document.createElement('li');
     li.classList.add('message');
     li.dataset.user = rawUser;
     li.dataset.time = String(timestampValue);
+    if (id) {
+      li.dataset.id = id;
+    }
+    if (clientId) {
+      li.dataset.clientId = clientId;
+    }
+    if (deliveryStatus) {
+      li.classList.add(`message--${deliveryStatus}`);
+    }
 
     if (rawUser === 'system') {
       li.classList.add('message--system');
@@ -1584,7 +2450,7 @@
       li.appendChild(bubble);
     } else {
       const displayUser = rawUser || 'ゲスト';
-      const isSelf = rawUser && rawUser === userName;
+      const isSelf = isOwnMessage;
       li.classList.add(isSelf ? 'message--self' : 'message--other');
 
       if (previousUser && previousUser === rawUser) {
@@ -1615,94 +2481,1358 @@
       meta.appendChild(author);
       meta.appendChild(separator);
       meta.appendChild(timeEl);
+      if (editedAt && !deleted) {
+        const editedEl = document.createElement('span');
+        editedEl.className = 'edited';
+        editedEl.textContent = '(編集済み)';
+        editedEl.title = new Date(editedAt).toLocaleString();
+        meta.appendChild(editedEl);
+      }
+      if (isSelf && interactive && id) {
+        const receiptEl = document.createElement('span');
+        receiptEl.className = 'read-receipt';
+        receiptEl.textContent = formatReadReceipt(timestampValue);
+        meta.appendChild(receiptEl);
+      }
       bubble.appendChild(meta);
 
-      if (sanitizedText) {
-        const textEl = document.createElement('p');
-        textEl.className = 'text';
-        textEl.textContent = sanitizedText;
-        bubble.appendChild(textEl);
+      if (replyTo && !deleted) {
+        const quote = document.createElement('button');
+        quote.type = 'button';
+        quote.className = 'reply-quote';
+        const quoteAuthor = document.createElement('span');
+        quoteAuthor.className = 'reply-quote-author';
+        quoteAuthor.textContent = replyTo.user || 'ゲスト';
+        const quoteText = document.createElement('span');
+        quoteText.className = 'reply-quote-text';
+        quoteText.textContent = describeReplyPreview(replyTo);
+        quote.appendChild(quoteAuthor);
+        quote.appendChild(quoteText);
+        quote.title = '元のメッセージへ移動';
+        quote.addEventListener('click', () => {
+          jumpToMessage(replyTo.id);
+        });
+        bubble.appendChild(quote);
+      }
+
+      if (deleted) {
+        li.classList.add('message--deleted');
+        const textEl = document.createElement('p');
+        textEl.className = 'text';
+        textEl.textContent = message.moderated ? 'このメッセージはモデレーターにより削除されました。' : 'このメッセージは削除されました。';
+        bubble.appendChild(textEl);
+      } else if (sanitizedText) {
+        const textEl = document.createElement('p');
+        textEl.className = 'text';
+        renderMessageText(textEl, sanitizedText, mentions);
+        bubble.appendChild(textEl);
+        if (!isSelf && mentions.some((mention) => mention.memberId === selfMemberId)) {
+          li.classList.add('message--mentioned');
+        }
+      }
+
+      const attachmentList = Array.isArray(message.attachments) && !deleted
+        ? message.attachments.filter((attachment) => attachment && typeof attachment.url === 'string')
+        : [];
+      if (attachmentList.length > 0) {
+        const attachmentsEl = document.createElement('div');
+        attachmentsEl.className = 'attachments';
+        attachmentList.forEach((attachment) => {
+          attachmentsEl.appendChild(createAttachmentElement(attachment));
+        });
+        bubble.appendChild(attachmentsEl);
+      }
+
+      if (location && !deleted) {
+        const link = document.createElement('a');
+        link.className = 'location-link';
+        link.href = `https://www.google.com/maps?q=${location.latitude},${location.longitude}`;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.textContent = '地図で確認する';
+        bubble.appendChild(link);
+      }
+
+      if (interactive && id && !deleted && reactions.length > 0) {
+        const reactionList = document.createElement('div');
+        reactionList.className = 'reaction-list';
+        reactions.forEach(({ emoji, users }) => {
+          const chip = document.createElement('button');
+          chip.type = 'button';
+          chip.className = 'reaction-chip';
+          const reacted = users.some((reactor) => reactor && reactor.id === selfMemberId);
+          chip.classList.toggle('is-mine', reacted);
+          chip.setAttribute('aria-pressed', reacted ? 'true' : 'false');
+          chip.textContent = `${emoji} ${users.length}`;
+          chip.title = users.map((reactor) => (reactor && reactor.user) || 'ゲスト').join('、');
+          chip.addEventListener('click', () => {
+            toggleReaction(id, emoji);
+          });
+          reactionList.appendChild(chip);
+        });
+        bubble.appendChild(reactionList);
+      }
+
+      if (interactive && id && !deleted) {
+        const actions = document.createElement('div');
+        actions.className = 'message-actions';
+        const reactBtn = document.createElement('button');
+        reactBtn.type = 'button';
+        reactBtn.textContent = 'リアクション';
+        reactBtn.setAttribute('aria-expanded', 'false');
+        const picker = document.createElement('div');
+        picker.className = 'reaction-picker';
+        picker.hidden = true;
+        REACTION_CHOICES.forEach((emoji) => {
+          const choice = document.createElement('button');
+          choice.type = 'button';
+          choice.textContent = emoji;
+          choice.addEventListener('click', () => {
+            picker.hidden = true;
+            reactBtn.setAttribute('aria-expanded', 'false');
+            toggleReaction(id, emoji);
+          });
+          picker.appendChild(choice);
+        });
+        reactBtn.addEventListener('click', () => {
+          picker.hidden = !picker.hidden;
+          reactBtn.setAttribute('aria-expanded', picker.hidden ? 'false' : 'true');
+        });
+        actions.appendChild(reactBtn);
+        const replyBtn = document.createElement('button');
+        replyBtn.type = 'button';
+        replyBtn.textContent = '返信';
+        replyBtn.addEventListener('click', () => {
+          setPendingReply({ id, user: displayUser, text: sanitizedText, location: Boolean(location) });
+        });
+        actions.appendChild(replyBtn);
+        if (isOwnMessage) {
+          const editBtn = document.createElement('button');
+          editBtn.type = 'button';
+          editBtn.textContent = '編集';
+          editBtn.addEventListener('click', () => {
+            requestMessageEdit(id, sanitizedText);
+          });
+          const deleteBtn = document.createElement('button');
+          deleteBtn.type = 'button';
+          deleteBtn.textContent = '削除';
+          deleteBtn.addEventListener('click', () => {
+            requestMessageDelete(id);
+          });
+          actions.appendChild(editBtn);
+          actions.appendChild(deleteBtn);
+        } else if (memberId) {
+          const moderateBtn = document.createElement('button');
+          moderateBtn.type = 'button';
+          moderateBtn.className = 'moderator-action';
+          moderateBtn.textContent = '削除';
+          moderateBtn.addEventListener('click', () => {
+            requestMessageDelete(id);
+          });
+          actions.appendChild(moderateBtn);
+        }
+        bubble.appendChild(actions);
+        bubble.appendChild(picker);
+      }
+
+      if (deliveryStatus) {
+        const status = document.createElement('div');
+        status.className = 'delivery-status';
+        const label = document.createElement('span');
+        label.textContent = deliveryStatus === 'failed'
+          ? `送信できませんでした${message.deliveryError ? `: ${message.deliveryError}` : ''}`
+          : '送信待ち…';
+        status.appendChild(label);
+        if (deliveryStatus === 'failed' && clientId) {
+          const retryBtn = document.createElement('button');
+          retryBtn.type = 'button';
+          retryBtn.textContent = '再送';
+          retryBtn.addEventListener('click', () => {
+            retryOutboxEntry(clientId);
+          });
+          const discardBtn = document.createElement('button');
+          discardBtn.type = 'button';
+          discardBtn.textContent = '取り消す';
+          discardBtn.addEventListener('click', () => {
+            discardOutboxEntry(clientId);
+          });
+          status.appendChild(retryBtn);
+          status.appendChild(discardBtn);
+        }
+        bubble.appendChild(status);
+      }
+
+      if (isSelf) {
+        li.appendChild(bubble);
+        li.appendChild(avatar);
+      } else {
+        li.appendChild(avatar);
+        li.appendChild(bubble);
+      }
+    }
+
+    return {
+      element: li,
+      persisted: {
+        id,
+        senderId,
+        memberId,
+        clientId,
+        user: rawUser,
+        text: sanitizedText,
+        time: timestampValue,
+        icon,
+        location: deleted ? null : location,
+        editedAt,
+        deleted,
+        replyTo,
+        reactions,
+        mentions,
+        attachments: Array.isArray(message.attachments) && !deleted ? message.attachments : [],
+      },
+    };
+  }
+
+  function createClientId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+      return window.crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+  }
+
+  function saveOutboxEntry(entry) {
+    if (!outbox) return Promise.resolve();
+    const { sending, ...stored } = entry;
+    return outbox.put(stored).catch((error) => {
+      console.warn('Failed to store queued message:', error);
+    });
+  }
+
+  function removeOutboxEntry(clientId) {
+    outboxEntries.delete(clientId);
+    if (!outbox) return;
+    outbox.remove(clientId).catch((error) => {
+      console.warn('Failed to remove queued message:', error);
+    });
+  }
+
+  function findOutboxElement(clientId) {
+    if (!clientId || !messagesEl) return null;
+    return Array.from(messagesEl.children).find((el) => el.dataset.clientId === clientId && !el.dataset.id) || null;
+  }
+
+  function renderOutboxEntry(entry) {
+    const message = {
+      user: entry.user,
+      memberId: entry.memberId,
+      icon: entry.icon,
+      text: entry.text,
+      time: entry.createdAt,
+      replyTo: entry.replyPreview || null,
+      clientId: entry.clientId,
+      deliveryStatus: entry.status,
+      deliveryError: entry.error,
+    };
+    const existing = findOutboxElement(entry.clientId);
+    if (!existing) {
+      addMessage(message, { persist: false });
+      return;
+    }
+    const previous = existing.previousElementSibling;
+    const built = createMessageElement(message, { previousUser: previous ? previous.dataset.user : null });
+    if (built) {
+      existing.replaceWith(built.element);
+    }
+  }
+
+  // Send a queued message over the socket. Without an acknowledgement it simply stays queued for the next flush.
+  function deliverOutboxEntry(entry) {
+    if (!roomSessionReady || !socket.connected || entry.room !== ROOM || entry.status !== 'pending' || entry.sending) {
+      return;
+    }
+    entry.sending = true;
+    const payload = { text: entry.text, clientId: entry.clientId };
+    if (entry.replyTo) {
+      payload.replyTo = entry.replyTo;
+    }
+    socket.timeout(OUTBOX_ACK_TIMEOUT_MS).emit('message', payload, (error, response) => {
+      entry.sending = false;
+      if (error) return;
+      // Rate-limited messages stay queued and are retried once the server accepts messages again.
+      if (response && response.ok !== true && typeof response.retryAfter === 'number') {
+        setTimeout(() => deliverOutboxEntry(entry), response.retryAfter);
+        return;
+      }
+      if (!response || response.ok !== true) {
+        entry.status = 'failed';
+        entry.error = response && response.error ? response.error : 'メッセージを送信できませんでした。';
+        saveOutboxEntry(entry);
+        if (entry.room === ROOM) {
+          renderOutboxEntry(entry);
+        }
+        return;
+      }
+      if (response.message && entry.room === ROOM) {
+        addMessage(response.message);
+      }
+      removeOutboxEntry(entry.clientId);
+      const stale = findOutboxElement(entry.clientId);
+      if (stale) {
+        stale.remove();
+      }
+    });
+  }
+
+  function queueOutgoingMessage(text) {
+    const entry = {
+      clientId: createClientId(),
+      room: ROOM,
+      text,
+      replyTo: pendingReply ? pendingReply.id : null,
+      replyPreview: pendingReply ? { ...pendingReply } : null,
+      user: userName,
+      memberId: selfMemberId,
+      icon: userIcon || null,
+      createdAt: Date.now(),
+      status: 'pending',
+      error: null,
+      sessionToken,
+      roomPass,
+    };
+    outboxEntries.set(entry.clientId, entry);
+    renderOutboxEntry(entry);
+    saveOutboxEntry(entry).then(() => {
+      if (!roomSessionReady && outbox) {
+        outbox.requestBackgroundSync();
+      }
+    });
+    deliverOutboxEntry(entry);
+  }
+
+  async function flushOutbox() {
+    const room = ROOM;
+    if (outbox) {
+      try {
+        const stored = await outbox.listByRoom(room);
+        if (ROOM !== room) return;
+        stored.forEach((entry) => {
+          const known = outboxEntries.get(entry.clientId);
+          if (known) {
+            known.status = entry.status;
+            known.error = entry.error;
+          } else {
+            outboxEntries.set(entry.clientId, entry);
+          }
+        });
+      } catch (error) {
+        console.warn('Failed to read queued messages:', error);
+      }
+    }
+    outboxEntries.forEach((entry) => {
+      // Room passes are reissued on every join, so queued entries pick up the current one.
+      entry.roomPass = roomPass;
+      entry.sessionToken = sessionToken;
+      saveOutboxEntry(entry);
+      renderOutboxEntry(entry);
+      deliverOutboxEntry(entry);
+    });
+  }
+
+  async function refreshOutboxStatuses() {
+    if (!outbox) return;
+    for (const entry of Array.from(outboxEntries.values())) {
+      try {
+        const stored = await outbox.get(entry.clientId);
+        if (stored && stored.status !== entry.status) {
+          entry.status = stored.status;
+          entry.error = stored.error;
+          renderOutboxEntry(entry);
+        }
+      } catch (error) {
+        console.warn('Failed to read queued message:', error);
+      }
+    }
+  }
+
+  function retryOutboxEntry(clientId) {
+    const entry = outboxEntries.get(clientId);
+    if (!entry) return;
+    entry.status = 'pending';
+    entry.error = null;
+    entry.roomPass = roomPass;
+    entry.sessionToken = sessionToken;
+    renderOutboxEntry(entry);
+    saveOutboxEntry(entry).then(() => {
+      if (!roomSessionReady && outbox) {
+        outbox.requestBackgroundSync();
+      }
+    });
+    deliverOutboxEntry(entry);
+  }
+
+  function discardOutboxEntry(clientId) {
+    removeOutboxEntry(clientId);
+    const element = findOutboxElement(clientId);
+    if (element) {
+      element.remove();
+    }
+  }
+
+  function formatFileSize(bytes) {
+    if (typeof bytes !== 'number' || !Number.isFinite(bytes)) return '';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  function formatDuration(ms) {
+    const totalSeconds = Math.max(0, Math.round((Number(ms) || 0) / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+  }
+
+  function createAttachmentElement(attachment) {
+    const name = typeof attachment.name === 'string' && attachment.name ? attachment.name : 'ファイル';
+    const isImage = typeof attachment.mime === 'string' && attachment.mime.startsWith('image/');
+    if (attachment.kind === 'voice') {
+      const voice = document.createElement('div');
+      voice.className = 'attachment attachment--voice';
+      const label = document.createElement('span');
+      label.className = 'attachment-duration';
+      label.textContent = `🎤 ${formatDuration(attachment.duration)}`;
+      const audio = document.createElement('audio');
+      audio.controls = true;
+      audio.preload = 'metadata';
+      audio.src = attachment.url;
+      voice.appendChild(label);
+      voice.appendChild(audio);
+      return voice;
+    }
+    const link = document.createElement('a');
+    link.href = attachment.url;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    if (isImage) {
+      link.className = 'attachment attachment--image';
+      const img = document.createElement('img');
+      img.src = attachment.thumbnailUrl || attachment.url;
+      img.alt = name;
+      img.loading = 'lazy';
+      link.appendChild(img);
+      return link;
+    }
+    link.className = 'attachment attachment--file';
+    link.download = name;
+    const nameEl = document.createElement('span');
+    nameEl.className = 'attachment-name';
+    nameEl.textContent = `📄 ${name}`;
+    const sizeEl = document.createElement('span');
+    sizeEl.className = 'attachment-size';
+    sizeEl.textContent = formatFileSize(attachment.size);
+    link.appendChild(nameEl);
+    link.appendChild(sizeEl);
+    return link;
+  }
+
+  function setUploadStatus(message, { isError = false } = {}) {
+    if (!uploadStatusEl) return;
+    uploadStatusEl.textContent = message || '';
+    uploadStatusEl.classList.toggle('error', Boolean(isError));
+  }
+
+  async function createImageThumbnailBlob(file) {
+    if (typeof createImageBitmap !== 'function') return null;
+    try {
+      const bitmap = await createImageBitmap(file);
+      const scale = Math.min(1, THUMBNAIL_MAX_SIZE / Math.max(bitmap.width, bitmap.height || 1));
+      const width = Math.max(1, Math.round(bitmap.width * scale));
+      const height = Math.max(1, Math.round(bitmap.height * scale));
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext('2d');
+      if (!ctx) {
+        throw new Error('Failed to obtain CanvasRenderingContext2D.');
+      }
+      ctx.drawImage(bitmap, 0, 0, width, height);
+      if (typeof bitmap.close === 'function') {
+        bitmap.close();
+      }
+      return await new Promise((resolve) => {
+        canvas.toBlob((blob) => resolve(blob), 'image/jpeg', 0.8);
+      });
+    } catch (error) {
+      console.warn('Failed to create thumbnail:', error);
+      return null;
+    }
+  }
+
+  async function uploadAttachment(file, { duration } = {}) {
+    if (!uploadToken) {
+      throw new Error('アップロードの準備ができていません。ルームに参加し直してください。');
+    }
+    const headers = {
+      'Content-Type': file.type || 'application/octet-stream',
+      'x-upload-token': uploadToken,
+      'x-file-name': encodeURIComponent(file.name || 'file'),
+    };
+    if (typeof duration === 'number') {
+      headers['x-audio-duration'] = String(Math.round(duration));
+    }
+    const response = await fetch('/api/attachments', {
+      method: 'POST',
+      headers,
+      body: file,
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.ok || !data.attachment) {
+      throw new Error(data && data.error ? data.error : 'ファイルのアップロードに失敗しました。');
+    }
+    let { attachment } = data;
+    if (file.type && file.type.startsWith('image/')) {
+      const thumbnail = await createImageThumbnailBlob(file);
+      if (thumbnail) {
+        try {
+          const thumbResponse = await fetch(`/api/attachments/${encodeURIComponent(attachment.id)}/thumbnail`, {
+            method: 'POST',
+            headers: {
+              'Content-Type': thumbnail.type || 'image/jpeg',
+              'x-upload-token': uploadToken,
+            },
+            body: thumbnail,
+          });
+          const thumbData = await thumbResponse.json().catch(() => ({}));
+          if (thumbResponse.ok && thumbData.ok && thumbData.attachment) {
+            attachment = thumbData.attachment;
+          }
+        } catch (error) {
+          // The original image still works as its own preview.
+          console.warn('Failed to upload thumbnail:', error);
+        }
+      }
+    }
+    return attachment;
+  }
+
+  async function sendAttachment(file, options = {}) {
+    if (!joined || !ROOM || !file) return;
+    if (file.size > MAX_ATTACHMENT_BYTES) {
+      setUploadStatus(`ファイルサイズは${formatFileSize(MAX_ATTACHMENT_BYTES)}までです。`, { isError: true });
+      return;
+    }
+    uploadingAttachment = true;
+    if (attachFileBtn) attachFileBtn.disabled = true;
+    if (recordVoiceBtn) recordVoiceBtn.disabled = true;
+    setUploadStatus(`「${file.name}」をアップロードしています…`);
+    try {
+      const attachment = await uploadAttachment(file, options);
+      const payload = { user: userName, room: ROOM, icon: userIcon, attachments: [attachment.id] };
+      const text = inputEl.value.trim();
+      if (text) {
+        payload.text = text;
+        inputEl.value = '';
+      }
+      if (pendingReply) {
+        payload.replyTo = pendingReply.id;
+      }
+      socket.emit('message', payload);
+      clearPendingReply();
+      setUploadStatus('');
+    } catch (error) {
+      console.warn('Failed to send attachment:', error);
+      setUploadStatus(error && error.message ? error.message : 'ファイルを送信できませんでした。', { isError: true });
+    } finally {
+      uploadingAttachment = false;
+      updateComposerForConversation();
+    }
+  }
+
+  function updateVoiceRecordingUI(active) {
+    if (!recordVoiceBtn) return;
+    recordVoiceBtn.setAttribute('aria-pressed', active ? 'true' : 'false');
+    recordVoiceBtn.setAttribute('aria-label', active ? '録音を停止して送信' : '音声メッセージを録音');
+    recordVoiceBtn.textContent = active ? '⏹' : '🎤';
+  }
+
+  async function startVoiceRecording() {
+    if (!joined || !ROOM || voiceRecording || uploadingAttachment) return;
+    if (typeof MediaRecorder === 'undefined' || !navigator.mediaDevices || typeof navigator.mediaDevices.getUserMedia !== 'function') {
+      setUploadStatus('お使いのブラウザは音声メッセージの録音に対応していません。', { isError: true });
+      return;
+    }
+    // Share the call's microphone stream when one is active instead of opening a second capture.
+    const ownsStream = !localStream;
+    let stream;
+    try {
+      stream = localStream || (await navigator.mediaDevices.getUserMedia({ audio: true }));
+    } catch (error) {
+      setUploadStatus('マイクへのアクセスに失敗しました: ' + (error && error.message ? error.message : '不明なエラー'), { isError: true });
+      return;
+    }
+    const mimeType = VOICE_MIME_CANDIDATES.find((type) => MediaRecorder.isTypeSupported && MediaRecorder.isTypeSupported(type));
+    let recorder;
+    try {
+      recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    } catch (error) {
+      if (ownsStream) stream.getTracks().forEach((track) => track.stop());
+      setUploadStatus('録音を開始できませんでした。', { isError: true });
+      return;
+    }
+    const recording = { recorder, stream, ownsStream, chunks: [], startedAt: Date.now(), timer: null, discard: false };
+    recorder.addEventListener('dataavailable', (event) => {
+      if (event.data && event.data.size > 0) {
+        recording.chunks.push(event.data);
+      }
+    });
+    recorder.addEventListener('stop', () => {
+      clearInterval(recording.timer);
+      if (recording.ownsStream) {
+        recording.stream.getTracks().forEach((track) => track.stop());
+      }
+      if (voiceRecording === recording) {
+        voiceRecording = null;
+      }
+      updateVoiceRecordingUI(false);
+      const duration = Math.min(Date.now() - recording.startedAt, MAX_VOICE_DURATION_MS);
+      if (recording.discard || recording.chunks.length === 0) {
+        setUploadStatus('');
+        return;
+      }
+      const type = recorder.mimeType || mimeType || 'audio/webm';
+      const extension = type.includes('ogg') ? 'ogg' : type.includes('mp4') ? 'm4a' : 'webm';
+      const file = new File(recording.chunks, `voice-${Date.now()}.${extension}`, { type });
+      sendAttachment(file, { duration });
+    });
+    voiceRecording = recording;
+    recorder.start();
+    updateVoiceRecordingUI(true);
+    setUploadStatus(`録音中… 0:00 / ${formatDuration(MAX_VOICE_DURATION_MS)}`);
+    recording.timer = setInterval(() => {
+      const elapsed = Date.now() - recording.startedAt;
+      if (elapsed >= MAX_VOICE_DURATION_MS) {
+        stopVoiceRecording();
+        return;
+      }
+      setUploadStatus(`録音中… ${formatDuration(elapsed)} / ${formatDuration(MAX_VOICE_DURATION_MS)}`);
+    }, 500);
+  }
+
+  function stopVoiceRecording({ discard = false } = {}) {
+    const recording = voiceRecording;
+    if (!recording) return;
+    recording.discard = discard;
+    clearInterval(recording.timer);
+    if (recording.recorder.state !== 'inactive') {
+      recording.recorder.stop();
+    }
+  }
+
+  function toggleReaction(id, emoji) {
+    if (!joined || !ROOM || !id) return;
+    socket.emit('react', { id, emoji }, (response = {}) => {
+      if (!response || response.ok !== true) {
+        alert(response && response.error ? response.error : 'リアクションを送信できませんでした。');
+      }
+    });
+  }
+
+  function describeReplyPreview(preview) {
+    if (!preview) return '';
+    if (preview.deleted) return 'このメッセージは削除されました。';
+    if (typeof preview.text === 'string' && preview.text) return preview.text;
+    if (preview.location) return '位置情報';
+    if (preview.attachment) return '添付ファイル';
+    return '';
+  }
+
+  function setPendingReply(preview) {
+    if (!preview || !preview.id) return;
+    pendingReply = preview;
+    if (replyBar && replyBarText) {
+      replyBarText.textContent = `${preview.user || 'ゲスト'}に返信: ${describeReplyPreview(preview)}`;
+      replyBar.hidden = false;
+    }
+    inputEl.focus();
+  }
+
+  function clearPendingReply() {
+    pendingReply = null;
+    if (replyBar) {
+      replyBar.hidden = true;
+    }
+    if (replyBarText) {
+      replyBarText.textContent = '';
+    }
+  }
+
+  function jumpToMessage(id) {
+    if (!id || !messagesEl) return;
+    const target = Array.from(messagesEl.children).find((el) => el.dataset.id === id);
+    if (!target) {
+      alert('元のメッセージは履歴に残っていません。');
+      return;
+    }
+    target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    target.classList.add('message--highlight');
+    setTimeout(() => {
+      target.classList.remove('message--highlight');
+    }, 2000);
+  }
+
+  function requestMessageEdit(id, currentText) {
+    if (!joined || !ROOM || !id) return;
+    const input = prompt('メッセージを編集', currentText || '');
+    if (input === null) return;
+    const text = input.trim();
+    if (!text || text === currentText) return;
+    socket.emit('message-edit', { id, text }, (response = {}) => {
+      if (!response || response.ok !== true) {
+        alert(response && response.error ? response.error : 'メッセージを編集できませんでした。');
+      }
+    });
+  }
+
+  function requestMessageDelete(id) {
+    if (!joined || !ROOM || !id) return;
+    if (!confirm('このメッセージを削除しますか？')) return;
+    socket.emit('message-delete', { id }, (response = {}) => {
+      if (!response || response.ok !== true) {
+        alert(response && response.error ? response.error : 'メッセージを削除できませんでした。');
+      }
+    });
+  }
+
+  function removeExpiredMessageElements({ ids, before } = {}) {
+    if (!messagesEl) return;
+    const removedIds = new Set(Array.isArray(ids) ? ids : []);
+    Array.from(messagesEl.children).forEach((el) => {
+      if (el.classList.contains('message--system')) return;
+      const time = Number(el.dataset.time);
+      if ((el.dataset.id && removedIds.has(el.dataset.id)) || (typeof before === 'number' && time < before)) {
+        el.remove();
+      }
+    });
+    if (historyCursor && removedIds.has(historyCursor)) {
+      historyCursor = null;
+      hasMoreHistory = false;
+    }
+    rebuildLiveMapFromCache();
+  }
+
+  function replaceMessageElement(message) {
+    if (!message || typeof message.id !== 'string' || !messagesEl) return null;
+    const existing = Array.from(messagesEl.children).find((el) => el.dataset.id === message.id);
+    if (!existing) return null;
+    const previous = existing.previousElementSibling;
+    const previousUser = previous ? previous.dataset.user : null;
+    const built = createMessageElement(message, { previousUser });
+    if (!built) return null;
+    existing.replaceWith(built.element);
+    return built;
+  }
+
+  function addMessage(message, { persist = true } = {}) {
+    if (message && message.id && Array.from(messagesEl.children).some((el) => el.dataset.id === message.id)) {
+      return;
+    }
+    const queued = message && message.id && message.clientId ? findOutboxElement(message.clientId) : null;
+    if (queued) {
+      // The server's copy of a queued message takes the place of its pending bubble.
+      const previous = queued.previousElementSibling;
+      const built = createMessageElement(message, { previousUser: previous ? previous.dataset.user : null });
+      if (!built) return;
+      queued.replaceWith(built.element);
+      removeOutboxEntry(message.clientId);
+      if (persist && ROOM) {
+        appendLocalMessage(ROOM, built.persisted);
+      }
+      return;
+    }
+    const previousUser = messagesEl && messagesEl.lastElementChild ? messagesEl.lastElementChild.dataset.user : null;
+    const wasNearBottom = isNearBottom();
+    const built = createMessageElement(message, { previousUser });
+    if (!built) return;
+    messagesEl.appendChild(built.element);
+    if (built.persisted && built.persisted.location) {
+      upsertLiveMapMarker(built.persisted, { focus: true, announce: true });
+    }
+    if (persist && ROOM) {
+      appendLocalMessage(ROOM, built.persisted);
+    }
+
+    if (built.persisted.user) {
+      typingUsers.delete(built.persisted.memberId || built.persisted.user);
+      updateTypingIndicator();
+    }
+
+    if (wasNearBottom) {
+      shouldAutoScroll = true;
+      scheduleMessagesScrollToBottom({ force: true });
+    } else {
+      shouldAutoScroll = false;
+      showNewMessagesButton();
+    }
+  }
+
+  function renderMessages(messages) {
+    messagesEl.innerHTML = '';
+    if (!Array.isArray(messages) || messages.length === 0) {
+      hideNewMessagesButton();
+      scheduleMessagesScrollToBottom({ force: true });
+      return;
+    }
+
+    const fragment = document.createDocumentFragment();
+    let previousUser = null;
+    messages.forEach((message) => {
+      const built = createMessageElement(message, { previousUser });
+      if (!built) return;
+      fragment.appendChild(built.element);
+      previousUser = typeof message.user === 'string' ? message.user : null;
+    });
+    messagesEl.appendChild(fragment);
+    rebuildLiveMapFromMessages(messages);
+    hideNewMessagesButton();
+    shouldAutoScroll = true;
+    scheduleMessagesScrollToBottom({ force: true });
+  }
+
+  function prependMessages(messages) {
+    if (!Array.isArray(messages) || messages.length === 0) return;
+    const firstExisting = messagesEl.firstElementChild;
+    const fragment = document.createDocumentFragment();
+    let previousUser = null;
+    messages.forEach((message) => {
+      const built = createMessageElement(message, { previousUser });
+      if (!built) return;
+      fragment.appendChild(built.element);
+      previousUser = typeof message.user === 'string' ? message.user : null;
+    });
+    const previousHeight = chatScrollRegion ? chatScrollRegion.scrollHeight : 0;
+    messagesEl.insertBefore(fragment, firstExisting);
+    if (
+      firstExisting &&
+      previousUser &&
+      previousUser !== 'system' &&
+      firstExisting.dataset.user === previousUser
+    ) {
+      firstExisting.classList.add('message--continued', 'message--condensed');
+    }
+    // Keep the message the user was reading at the same on-screen position.
+    if (chatScrollRegion) {
+      chatScrollRegion.scrollTop += chatScrollRegion.scrollHeight - previousHeight;
+    }
+    messages.forEach((message) => {
+      if (!message || !message.location) return;
+      const key = message.memberId || (typeof message.user === 'string' && message.user ? message.user : 'anonymous');
+      if (!liveMapMarkers.has(key)) {
+        upsertLiveMapMarker(message, { focus: false, announce: false });
+      }
+    });
+  }
+
+  // While offline, older messages are paged in from the local cache; the server continues from the oldest one shown.
+  // Both loaders resolve to true when older messages were added to the transcript.
+  function loadOlderCachedMessages() {
+    const oldest = messagesEl.querySelector('li[data-id]');
+    const before = oldest ? Number(oldest.dataset.time) : NaN;
+    if (!Number.isFinite(before)) return Promise.resolve(false);
+    loadingHistory = true;
+    const requestedRoom = ROOM;
+    return readLocalMessages(ROOM, { before, limit: HISTORY_PAGE_SIZE }).then((older) => {
+      loadingHistory = false;
+      if (ROOM !== requestedRoom || older.length === 0) return false;
+      historyCursor = older[0].id;
+      prependMessages(older);
+      return true;
+    });
+  }
+
+  function loadOlderMessages() {
+    if (!joined || !ROOM || !hasMoreHistory || loadingHistory || !historyCursor) {
+      return Promise.resolve(false);
+    }
+    if (!socket.connected) {
+      return loadOlderCachedMessages();
+    }
+    loadingHistory = true;
+    const requestedRoom = ROOM;
+    return new Promise((resolve) => {
+      socket.emit('history', { before: historyCursor, limit: HISTORY_PAGE_SIZE }, (response = {}) => {
+        loadingHistory = false;
+        if (ROOM !== requestedRoom) {
+          resolve(false);
+          return;
+        }
+        if (!response || response.ok !== true) {
+          console.warn('Failed to load older messages:', response && response.error);
+          resolve(false);
+          return;
+        }
+        const older = Array.isArray(response.messages) ? response.messages : [];
+        hasMoreHistory = response.hasMore === true && older.length > 0;
+        if (older.length === 0) {
+          resolve(false);
+          return;
+        }
+        historyCursor = older[0].id || null;
+        saveLocalMessages(ROOM, older);
+        prependMessages(older);
+        fillViewportWithHistory();
+        resolve(true);
+      });
+    });
+  }
+
+  // Without a scrollbar the scroll listener never fires, so keep loading until one appears.
+  function fillViewportWithHistory() {
+    if (!chatScrollRegion || !hasMoreHistory) return;
+    requestAnimationFrame(() => {
+      if (chatScrollRegion.scrollHeight <= chatScrollRegion.clientHeight + HISTORY_LOAD_THRESHOLD) {
+        loadOlderMessages();
+      }
+    });
+  }
+
+  // Mirrors the server's search normalisation so offline results match online ones.
+  function normalizeSearchText(value) {
+    return typeof value === 'string' ? value.normalize('NFKC').toLowerCase() : '';
+  }
+
+  function readSearchForm() {
+    const params = {};
+    const q = searchQueryInput.value.trim();
+    const author = searchAuthorInput.value.trim();
+    if (q) params.q = q;
+    if (author) params.author = author;
+    // Date inputs are whole local days; the range covers the first day from midnight to the end of the last one.
+    if (searchSinceInput.value) {
+      params.since = new Date(`${searchSinceInput.value}T00:00:00`).getTime();
+    }
+    if (searchUntilInput.value) {
+      params.until = new Date(`${searchUntilInput.value}T23:59:59.999`).getTime();
+    }
+    const has = [];
+    if (searchHasLocationInput.checked) has.push('location');
+    if (searchHasAttachmentInput.checked) has.push('attachment');
+    if (has.length) params.has = has.join(',');
+    return Object.keys(params).length > 0 ? params : null;
+  }
+
+  function buildSearchCriteria(params) {
+    return {
+      terms: normalizeSearchText(params.q).split(/\s+/).filter(Boolean),
+      author: normalizeSearchText(params.author),
+      since: typeof params.since === 'number' ? params.since : null,
+      until: typeof params.until === 'number' ? params.until : null,
+      has: params.has ? params.has.split(',') : [],
+    };
+  }
+
+  function matchesSearch(message, criteria) {
+    if (!message || message.deleted || typeof message.id !== 'string') return false;
+    if (criteria.since !== null && message.time < criteria.since) return false;
+    if (criteria.until !== null && message.time > criteria.until) return false;
+    if (criteria.author && !normalizeSearchText(message.user).includes(criteria.author)) return false;
+    const attachments = Array.isArray(message.attachments) ? message.attachments : [];
+    if (criteria.has.includes('location') && !message.location) return false;
+    if (criteria.has.includes('attachment') && attachments.length === 0) return false;
+    if (!criteria.terms.length) return true;
+    const haystack = normalizeSearchText([message.text, ...attachments.map((attachment) => attachment.name)].join('\n'));
+    return criteria.terms.every((term) => haystack.includes(term));
+  }
+
+  // Resolves to null when the server cannot be reached, so the caller can fall back to the local cache.
+  async function fetchSearchResults(room, params, last) {
+    const query = new URLSearchParams({ ...params, limit: String(SEARCH_PAGE_SIZE) });
+    if (last) query.set('before', last.id);
+    let res;
+    try {
+      res = await fetch(`/api/rooms/${encodeURIComponent(room)}/messages/search?${query}`, {
+        headers: { 'x-session-token': sessionToken, 'x-room-pass': roomPass || '' },
+      });
+    } catch (error) {
+      return null;
+    }
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok || !data.ok) {
+      throw new Error(data.error || '検索できませんでした。');
+    }
+    return { results: Array.isArray(data.results) ? data.results : [], hasMore: data.hasMore === true };
+  }
+
+  async function searchLocalMessages(room, criteria, last) {
+    const cached = await readLocalMessages(room, {
+      since: criteria.since === null ? undefined : criteria.since,
+      before: last ? last.time : undefined,
+    });
+    const matches = cached.filter((message) => matchesSearch(message, criteria)).reverse();
+    return { results: matches.slice(0, SEARCH_PAGE_SIZE), hasMore: matches.length > SEARCH_PAGE_SIZE };
+  }
+
+  function setSearchStatus(text) {
+    if (searchStatusEl) {
+      searchStatusEl.textContent = text || '';
+    }
+  }
+
+  // Ranges of `text` matching any term, found on the normalised text so "ＡＢＣ" is highlighted for "abc".
+  function findSearchHits(text, terms) {
+    let normalized = '';
+    const starts = [];
+    const ends = [];
+    for (let index = 0; index < text.length;) {
+      const char = String.fromCodePoint(text.codePointAt(index));
+      const folded = normalizeSearchText(char);
+      for (let i = 0; i < folded.length; i += 1) {
+        starts.push(index);
+        ends.push(index + char.length);
+      }
+      normalized += folded;
+      index += char.length;
+    }
+    const hits = [];
+    terms.forEach((term) => {
+      for (let found = normalized.indexOf(term); found !== -1; found = normalized.indexOf(term, found + 1)) {
+        hits.push([starts[found], ends[found + term.length - 1]]);
+      }
+    });
+    hits.sort((a, b) => a[0] - b[0]);
+    return hits.reduce((merged, hit) => {
+      const previous = merged[merged.length - 1];
+      if (previous && hit[0] <= previous[1]) {
+        previous[1] = Math.max(previous[1], hit[1]);
+      } else {
+        merged.push(hit);
       }
+      return merged;
+    }, []);
+  }
 
-      if (location) {
-        const link = document.createElement('a');
-        link.className = 'location-link';
-        link.href = `https://www.google.com/maps?q=${location.latitude},${location.longitude}`;
-        link.target = '_blank';
-        link.rel = 'noopener';
-        link.textContent = '地図で確認する';
-        bubble.appendChild(link);
+  function appendHighlightedText(container, text, terms) {
+    let index = 0;
+    findSearchHits(text, terms).forEach(([start, end]) => {
+      container.appendChild(document.createTextNode(text.slice(index, start)));
+      const mark = document.createElement('mark');
+      mark.textContent = text.slice(start, end);
+      container.appendChild(mark);
+      index = end;
+    });
+    container.appendChild(document.createTextNode(text.slice(index)));
+  }
+
+  function createSearchResultElement(message, terms) {
+    const li = document.createElement('li');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'search-result';
+    const meta = document.createElement('span');
+    meta.className = 'search-result-meta';
+    meta.textContent = `${message.user || 'ゲスト'}・${new Date(message.time).toLocaleString()}`;
+    const snippet = document.createElement('span');
+    snippet.className = 'search-result-text';
+    const attachmentNames = Array.isArray(message.attachments)
+      ? message.attachments.map((attachment) => attachment && attachment.name).filter(Boolean)
+      : [];
+    if (typeof message.text === 'string' && message.text) {
+      appendHighlightedText(snippet, message.text, terms);
+    } else if (attachmentNames.length > 0) {
+      appendHighlightedText(snippet, `📎 ${attachmentNames.join('、')}`, terms);
+    } else if (message.location) {
+      snippet.textContent = '📍 位置情報';
+    }
+    button.appendChild(meta);
+    button.appendChild(snippet);
+    button.addEventListener('click', () => {
+      revealMessage(message.id, message.time);
+    });
+    li.appendChild(button);
+    return li;
+  }
+
+  async function runSearch({ more = false } = {}) {
+    if (!joined || !ROOM) return;
+    if (!more) {
+      const params = readSearchForm();
+      if (!params) {
+        setSearchStatus('検索条件を入力してください。');
+        return;
+      }
+      searchState = { room: ROOM, params, criteria: buildSearchCriteria(params), last: null, offline: false };
+      searchResultsEl.innerHTML = '';
+    }
+    const state = searchState;
+    if (!state) return;
+    searchMoreBtn.hidden = true;
+    setSearchStatus('検索中…');
+    let page = null;
+    try {
+      if (!state.offline && socket.connected && sessionToken && roomPass) {
+        page = await fetchSearchResults(state.room, state.params, state.last);
+      }
+      if (!page) {
+        // Once a search falls back to the cache, its later pages come from the cache as well.
+        state.offline = true;
+        page = await searchLocalMessages(state.room, state.criteria, state.last);
+      }
+    } catch (error) {
+      if (searchState === state) {
+        setSearchStatus(error.message);
       }
+      return;
+    }
+    if (searchState !== state || ROOM !== state.room) return;
+    page.results.forEach((message) => {
+      searchResultsEl.appendChild(createSearchResultElement(message, state.criteria.terms));
+    });
+    if (page.results.length > 0) {
+      const last = page.results[page.results.length - 1];
+      state.last = { id: last.id, time: last.time };
+    }
+    const count = searchResultsEl.children.length;
+    const summary = count > 0 ? `${count}件見つかりました。` : '一致するメッセージはありません。';
+    setSearchStatus(state.offline ? `${summary}(オフラインのため、この端末に保存されたメッセージから検索しました)` : summary);
+    searchMoreBtn.hidden = !page.hasMore;
+  }
 
-      if (isSelf) {
-        li.appendChild(bubble);
-        li.appendChild(avatar);
-      } else {
-        li.appendChild(avatar);
-        li.appendChild(bubble);
+  // Page older history into the transcript until the message is there, then scroll to it.
+  async function revealMessage(id, time) {
+    const room = ROOM;
+    if (activeConversation) {
+      setActiveConversation(null);
+    }
+    const isLoaded = () => Array.from(messagesEl.children).some((el) => el.dataset.id === id);
+    while (ROOM === room && !isLoaded()) {
+      const oldest = messagesEl.querySelector('li[data-id]');
+      if (oldest && Number(oldest.dataset.time) < time) break;
+      if (loadingHistory) {
+        await new Promise((resolve) => setTimeout(resolve, 200));
+        continue;
       }
+      if (!(await loadOlderMessages())) break;
+    }
+    if (ROOM !== room) return;
+    if (!isLoaded()) {
+      alert('このメッセージは履歴に残っていません。');
+      return;
     }
+    jumpToMessage(id);
+  }
 
-    return {
-      element: li,
-      persisted: {
-        user: rawUser,
-        text: sanitizedText,
-        time: timestampValue,
-        icon,
-        location,
-      },
-    };
+  function openSearchPanel() {
+    if (!searchPanel || !joined) return;
+    searchPanel.hidden = false;
+    openSearchBtn.setAttribute('aria-expanded', 'true');
+    searchQueryInput.focus();
   }
 
-  function addMessage(message, { persist = true } = {}) {
-    const previousUser = messagesEl && messagesEl.lastElementChild ? messagesEl.lastElementChild.dataset.user : null;
-    const wasNearBottom = isNearBottom();
-    const built = createMessageElement(message, { previousUser });
-    if (!built) return;
-    messagesEl.appendChild(built.element);
-    if (built.persisted && built.persisted.location) {
-      upsertLiveMapMarker(built.persisted, { focus: true, announce: true });
+  function closeSearchPanel({ reset = false } = {}) {
+    if (!searchPanel) return;
+    searchPanel.hidden = true;
+    openSearchBtn.setAttribute('aria-expanded', 'false');
+    if (reset) {
+      searchState = null;
+      searchForm.reset();
+      searchResultsEl.innerHTML = '';
+      searchMoreBtn.hidden = true;
+      setSearchStatus('');
     }
-    if (persist && ROOM) {
-      appendLocalMessage(ROOM, built.persisted);
+  }
+
+  function parseRetentionOption(value) {
+    const [mode, amount] = String(value || 'forever').split(':');
+    if (mode === 'days' || mode === 'count') {
+      return { mode, value: Number(amount) };
     }
+    return { mode };
+  }
 
-    if (built.persisted.user) {
-      typingUsers.delete(built.persisted.user);
-      updateTypingIndicator();
+  function formatRetentionOption(retention) {
+    if (!retention || !retention.mode) return 'forever';
+    if (retention.mode === 'days' || retention.mode === 'count') {
+      return `${retention.mode}:${retention.value}`;
     }
+    return retention.mode;
+  }
 
-    if (wasNearBottom) {
-      shouldAutoScroll = true;
-      scheduleMessagesScrollToBottom({ force: true });
-    } else {
-      shouldAutoScroll = false;
-      showNewMessagesButton();
+  function describeRetention(retention) {
+    const { mode, value } = retention && retention.mode ? retention : { mode: 'forever' };
+    switch (mode) {
+      case 'days':
+        return `${value}日間保存`;
+      case 'count':
+        return `最新${value}件を保存`;
+      case 'ephemeral':
+        return '一時的（全員退出で削除）';
+      default:
+        return '無期限に保存';
     }
   }
 
-  function renderMessages(messages) {
-    messagesEl.innerHTML = '';
-    if (!Array.isArray(messages) || messages.length === 0) {
-      hideNewMessagesButton();
-      scheduleMessagesScrollToBottom({ force: true });
+  function populateRetentionSelect(select, selected = 'forever') {
+    if (!select) return;
+    select.innerHTML = '';
+    const values = RETENTION_PRESETS.includes(selected) ? RETENTION_PRESETS : [...RETENTION_PRESETS, selected];
+    values.forEach((value) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = describeRetention(parseRetentionOption(value));
+      option.selected = value === selected;
+      select.appendChild(option);
+    });
+  }
+
+  populateRetentionSelect(roomRetentionInput);
+  populateRetentionSelect(newRoomRetentionInput);
+
+  function getDirectConversation(peer, name) {
+    if (!directConversations.has(peer)) {
+      directConversations.set(peer, { name: name || '', messages: [], unread: 0, loaded: false });
+    }
+    const conversation = directConversations.get(peer);
+    if (name) {
+      conversation.name = name;
+    }
+    return conversation;
+  }
+
+  function renderConversationSwitcher() {
+    if (!conversationSwitcher) return;
+    conversationSwitcher.innerHTML = '';
+    if (!joined || directConversations.size === 0) {
       return;
     }
+    const createTab = (label, unread, peer) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.setAttribute('aria-pressed', activeConversation === peer ? 'true' : 'false');
+      const labelEl = document.createElement('span');
+      labelEl.textContent = label;
+      button.appendChild(labelEl);
+      if (unread > 0) {
+        const badge = document.createElement('span');
+        badge.className = 'unread-badge';
+        badge.textContent = unread > 99 ? '99+' : String(unread);
+        badge.setAttribute('aria-label', `未読${unread}件`);
+        button.appendChild(badge);
+      }
+      button.addEventListener('click', () => {
+        setActiveConversation(peer);
+      });
+      conversationSwitcher.appendChild(button);
+    };
+    createTab(`# ${ROOM}`, roomUnreadCount, null);
+    directConversations.forEach((conversation, peer) => {
+      createTab(`@ ${conversation.name || 'ゲスト'}`, conversation.unread, peer);
+    });
+  }
+
+  function updateComposerForConversation() {
+    const isDirect = activeConversation !== null;
+    const peerName = isDirect ? directConversations.get(activeConversation)?.name || 'ゲスト' : '';
+    inputEl.placeholder = isDirect ? `${peerName}へのメッセージ…` : 'メッセージを入力…';
+    if (selfMutedUntil) {
+      inputEl.placeholder = `ミュート中です(${formatMuteEnd(selfMutedUntil)}まで)`;
+    }
+    if (attachFileBtn) {
+      attachFileBtn.disabled = !joined || isDirect || uploadingAttachment || Boolean(selfMutedUntil);
+    }
+    if (recordVoiceBtn) {
+      recordVoiceBtn.disabled = !joined || isDirect || uploadingAttachment || Boolean(selfMutedUntil);
+    }
+  }
 
+  function renderDirectMessages(peer) {
+    if (!directMessagesEl) return;
+    directMessagesEl.innerHTML = '';
+    const conversation = directConversations.get(peer);
     const fragment = document.createDocumentFragment();
     let previousUser = null;
-    messages.forEach((message) => {
-      const built = createMessageElement(message, { previousUser });
+    (conversation ? conversation.messages : []).forEach((message) => {
+      const built = createMessageElement(message, { previousUser, interactive: false });
       if (!built) return;
       fragment.appendChild(built.element);
-      previousUser = typeof message.user === 'string' ? message.user : null;
+      previousUser = message.user;
     });
-    messagesEl.appendChild(fragment);
-    rebuildLiveMapFromMessages(messages);
-    hideNewMessagesButton();
-    shouldAutoScroll = true;
-    scheduleMessagesScrollToBottom({ force: true });
+    directMessagesEl.appendChild(fragment);
+    if (directScrollRegion) {
+      requestAnimationFrame(() => {
+        directScrollRegion.scrollTop = directScrollRegion.scrollHeight;
+      });
+    }
+  }
+
+  function loadDirectHistory(peer) {
+    const conversation = getDirectConversation(peer);
+    socket.emit('direct-history', { with: peer }, (response = {}) => {
+      if (!response || response.ok !== true) return;
+      const serverMessages = Array.isArray(response.messages) ? response.messages : [];
+      const known = new Set(serverMessages.map((message) => message.id));
+      conversation.messages = [
+        ...serverMessages,
+        ...conversation.messages.filter((message) => !known.has(message.id)),
+      ];
+      conversation.loaded = true;
+      if (activeConversation === peer) {
+        renderDirectMessages(peer);
+      }
+    });
+  }
+
+  function setActiveConversation(peer) {
+    if (!joined) return;
+    activeConversation = peer || null;
+    if (activeConversation) {
+      const conversation = getDirectConversation(activeConversation);
+      conversation.unread = 0;
+      if (!conversation.loaded) {
+        loadDirectHistory(activeConversation);
+      }
+      renderDirectMessages(activeConversation);
+    } else {
+      roomUnreadCount = 0;
+    }
+    if (chatSection) chatSection.classList.toggle('hidden', activeConversation !== null);
+    if (directChatSection) directChatSection.classList.toggle('hidden', activeConversation === null);
+    clearPendingReply();
+    updateComposerForConversation();
+    renderConversationSwitcher();
+    inputEl.focus();
+  }
+
+  function receiveDirectMessage(message) {
+    if (!message || typeof message !== 'object') return;
+    const outgoing = message.memberId === selfMemberId;
+    const peer = outgoing ? message.toMemberId : message.memberId;
+    if (!peer) return;
+    const conversation = getDirectConversation(peer, outgoing ? message.to : message.from);
+    if (conversation.messages.some((entry) => entry.id === message.id)) return;
+    conversation.messages.push(message);
+    if (activeConversation === peer) {
+      const last = directMessagesEl ? directMessagesEl.lastElementChild : null;
+      const built = createMessageElement(message, { previousUser: last ? last.dataset.user : null, interactive: false });
+      if (built && directMessagesEl) {
+        directMessagesEl.appendChild(built.element);
+        if (directScrollRegion) {
+          directScrollRegion.scrollTop = directScrollRegion.scrollHeight;
+        }
+      }
+    } else if (!outgoing) {
+      conversation.unread += 1;
+    }
+    renderConversationSwitcher();
+  }
+
+  function resetDirectConversations() {
+    activeConversation = null;
+    directConversations.clear();
+    roomUnreadCount = 0;
+    if (directMessagesEl) directMessagesEl.innerHTML = '';
+    if (chatSection) chatSection.classList.remove('hidden');
+    if (directChatSection) directChatSection.classList.add('hidden');
+    renderConversationSwitcher();
+    updateComposerForConversation();
   }
 
   function renderRoomOptionsList(rooms) {
@@ -1731,6 +3861,94 @@
     }
   }
 
+  function getNotificationPreference(room = ROOM) {
+    const notifications = currentAccount && currentAccount.notifications ? currentAccount.notifications : {};
+    const preference = room ? notifications[room] : null;
+    return {
+      mode: preference && NOTIFICATION_MODE_LABELS[preference.mode] ? preference.mode : 'all',
+      muteUntil: preference && typeof preference.muteUntil === 'number' ? preference.muteUntil : null,
+    };
+  }
+
+  function isMutedUntilLater(preference, now = Date.now()) {
+    return Boolean(preference.muteUntil && preference.muteUntil > now);
+  }
+
+  function mentionsSelf(message) {
+    return Array.isArray(message.mentions) && message.mentions.some((mention) => mention && mention.memberId === selfMemberId);
+  }
+
+  // Mirrors the server's push rules so the in-page notification honours the same room setting.
+  function shouldNotifyForMessage(message) {
+    if (!message || message.user === 'system' || message.memberId === selfMemberId) return false;
+    const preference = getNotificationPreference();
+    if (isMutedUntilLater(preference) || preference.mode === 'muted') return false;
+    return preference.mode === 'all' || mentionsSelf(message);
+  }
+
+  function renderNotificationSetting() {
+    if (!notificationModeSelect) return;
+    const preference = getNotificationPreference();
+    const muted = isMutedUntilLater(preference);
+    notificationModeSelect.innerHTML = '';
+    Object.entries(NOTIFICATION_MODE_LABELS).forEach(([value, label]) => {
+      notificationModeSelect.appendChild(new Option(label, value));
+    });
+    MUTE_DURATIONS.forEach(({ value, label }) => {
+      notificationModeSelect.appendChild(new Option(label, value));
+    });
+    if (muted) {
+      notificationModeSelect.appendChild(new Option(`${formatMuteEnd(preference.muteUntil)}までミュート中`, 'muted-until'));
+      notificationModeSelect.value = 'muted-until';
+    } else {
+      notificationModeSelect.value = preference.mode;
+    }
+    notificationModeSelect.disabled = !joined || !currentAccount;
+  }
+
+  function formatMuteEnd(time) {
+    return new Date(time).toLocaleString([], {
+      month: 'numeric',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  }
+
+  async function saveNotificationPreference(selection) {
+    if (!joined || !ROOM || !sessionToken) return;
+    const current = getNotificationPreference();
+    const duration = MUTE_DURATIONS.find((entry) => entry.value === selection);
+    let body;
+    if (duration) {
+      // Timed mutes keep the underlying mode so it applies again once the mute ends.
+      body = { room: ROOM, mode: current.mode, muteUntil: Date.now() + duration.ms };
+    } else if (NOTIFICATION_MODE_LABELS[selection]) {
+      body = { room: ROOM, mode: selection, muteUntil: null };
+    } else {
+      return;
+    }
+    notificationModeSelect.disabled = true;
+    notificationStatusEl.textContent = '';
+    try {
+      const res = await fetch('/api/accounts/me/notifications', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', 'x-session-token': sessionToken },
+        body: JSON.stringify(body),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok || !data.ok) {
+        throw new Error(data.error || '通知設定を保存できませんでした。');
+      }
+      currentAccount = { ...currentAccount, notifications: data.account.notifications || {} };
+      notificationStatusEl.textContent = '通知設定を保存しました。';
+    } catch (error) {
+      notificationStatusEl.textContent = error.message;
+    } finally {
+      renderNotificationSetting();
+    }
+  }
+
   async function requestNotificationPermission() {
     if (typeof Notification === 'undefined') {
       return;
@@ -1741,7 +3959,95 @@
       } catch (error) {
         console.warn('通知の権限リクエストに失敗しました:', error);
       }
+      if (joined) {
+        registerPushSubscription();
+      }
+    }
+  }
+
+  function decodeBase64Url(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+    return Uint8Array.from(atob(padded), (char) => char.charCodeAt(0));
+  }
+
+  function isSameKey(buffer, bytes) {
+    if (!buffer) return false;
+    const current = new Uint8Array(buffer);
+    return current.length === bytes.length && current.every((value, index) => value === bytes[index]);
+  }
+
+  // Subscribe this browser to Web Push for the current room so new messages still notify after the app is closed.
+  async function registerPushSubscription() {
+    if (!('PushManager' in window) || !navigator.serviceWorker || notificationPermission !== 'granted') return;
+    if (!joined || !ROOM || !roomPass || !sessionToken) return;
+    const room = ROOM;
+    const pass = roomPass;
+    try {
+      if (!pushPublicKey) {
+        const res = await fetch('/api/push/public-key');
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok || !data.ok) return;
+        pushPublicKey = data.publicKey;
+      }
+      const serverKey = decodeBase64Url(pushPublicKey);
+      const registration = await navigator.serviceWorker.ready;
+      let subscription = await registration.pushManager.getSubscription();
+      if (subscription && !isSameKey(subscription.options.applicationServerKey, serverKey)) {
+        // Subscribed with another server's key; that subscription cannot carry our messages.
+        await subscription.unsubscribe();
+        subscription = null;
+      }
+      if (!subscription) {
+        subscription = await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: serverKey });
+      }
+      const res = await fetch('/api/push/subscriptions', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-session-token': sessionToken,
+          'x-room-pass': pass,
+        },
+        body: JSON.stringify({ room, subscription: subscription.toJSON() }),
+      });
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        console.warn('Failed to register push subscription:', data.error || res.status);
+      }
+    } catch (error) {
+      console.warn('Push notifications are unavailable:', error);
+    }
+  }
+
+  async function unsubscribePush() {
+    if (!('PushManager' in window) || !navigator.serviceWorker) return;
+    try {
+      const registration = await navigator.serviceWorker.getRegistration();
+      const subscription = registration ? await registration.pushManager.getSubscription() : null;
+      if (subscription) {
+        await subscription.unsubscribe();
+      }
+    } catch (error) {
+      console.warn('Failed to unsubscribe from push notifications:', error);
+    }
+  }
+
+  // Clicking a push notification focuses an open window and hands it the room the message came from.
+  function openRoomFromNotification(room) {
+    if (typeof room !== 'string' || !room) return;
+    if (!joined) {
+      roomNameInput.value = room;
+      passwordInput.value = '';
+      passwordInput.focus();
+      return;
+    }
+    if (ROOM === room) {
+      setActiveConversation(null);
+      shouldAutoScroll = true;
+      scheduleMessagesScrollToBottom({ force: true });
+      return;
     }
+    addMessage({ user: 'system', text: `「${room}」に新着メッセージがあります。`, time: Date.now() }, { persist: false });
   }
 
   function showNotification(message) {
@@ -1802,7 +4108,7 @@
       return;
     }
 
-    rooms.forEach(({ name, password, createdAt, blockedIps }) => {
+    rooms.forEach(({ name, createdAt, blockedIps, retention, members, mutes, bans }) => {
       if (!name) return;
       const item = document.createElement('li');
       item.className = 'admin-room-item';
@@ -1812,11 +4118,7 @@
       const nameEl = document.createElement('span');
       nameEl.className = 'name';
       nameEl.textContent = name;
-      const passwordEl = document.createElement('span');
-      passwordEl.className = 'password';
-      passwordEl.textContent = `パスワード: ${password || '(未設定)'}`;
       info.appendChild(nameEl);
-      info.appendChild(passwordEl);
 
       if (createdAt) {
         const metaEl = document.createElement('span');
@@ -1825,73 +4127,376 @@
         info.appendChild(metaEl);
       }
 
+      const retentionSection = document.createElement('div');
+      retentionSection.className = 'retention-section';
+      const retentionLabel = document.createElement('span');
+      retentionLabel.className = 'title';
+      retentionLabel.textContent = `履歴: ${describeRetention(retention)}`;
+      const retentionSelect = document.createElement('select');
+      retentionSelect.setAttribute('aria-label', `ルーム「${name}」の履歴保存期間`);
+      populateRetentionSelect(retentionSelect, formatRetentionOption(retention));
+      const retentionBtn = document.createElement('button');
+      retentionBtn.type = 'button';
+      retentionBtn.className = 'secondary-button';
+      retentionBtn.textContent = '保存期間を変更';
+      retentionBtn.addEventListener('click', () => {
+        updateRoomRetention(name, parseRetentionOption(retentionSelect.value));
+      });
+      retentionSection.appendChild(retentionLabel);
+      retentionSection.appendChild(retentionSelect);
+      retentionSection.appendChild(retentionBtn);
+      info.appendChild(retentionSection);
+
+      const archiveSection = document.createElement('div');
+      archiveSection.className = 'archive-section';
+      const archiveLabel = document.createElement('span');
+      archiveLabel.className = 'title';
+      archiveLabel.textContent = '履歴のアーカイブ';
+      const formatSelect = document.createElement('select');
+      formatSelect.setAttribute('aria-label', `ルーム「${name}」のエクスポート形式`);
+      EXPORT_FORMAT_OPTIONS.forEach(({ value, label }) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        formatSelect.appendChild(option);
+      });
+      const exportBtn = document.createElement('button');
+      exportBtn.type = 'button';
+      exportBtn.className = 'secondary-button';
+      exportBtn.textContent = 'エクスポート';
+      exportBtn.addEventListener('click', () => {
+        exportRoomHistoryForAdmin(name, formatSelect.value);
+      });
+      const importInput = document.createElement('input');
+      importInput.type = 'file';
+      importInput.accept = 'application/json,.json';
+      importInput.hidden = true;
+      importInput.addEventListener('change', () => {
+        const [file] = importInput.files;
+        importInput.value = '';
+        if (file) {
+          importRoomHistoryForAdmin(name, file);
+        }
+      });
+      const importBtn = document.createElement('button');
+      importBtn.type = 'button';
+      importBtn.className = 'secondary-button';
+      importBtn.textContent = 'JSONをインポート';
+      importBtn.addEventListener('click', () => {
+        if (!adminToken) return;
+        importInput.click();
+      });
+      archiveSection.appendChild(archiveLabel);
+      archiveSection.appendChild(formatSelect);
+      archiveSection.appendChild(exportBtn);
+      archiveSection.appendChild(importBtn);
+      archiveSection.appendChild(importInput);
+      info.appendChild(archiveSection);
+
+      info.appendChild(createAdminMemberSection(name, { members, mutes, bans }));
+
       const blockedSection = document.createElement('div');
       blockedSection.className = 'blocked-ip-section';
       const blockedTitle = document.createElement('span');
       blockedTitle.className = 'title';
       blockedTitle.textContent = 'ブロック中のIPアドレス';
       blockedSection.appendChild(blockedTitle);
-      const blockedList = document.createElement('ul');
-      blockedList.className = 'blocked-ip-list';
-      const ips = Array.isArray(blockedIps) ? blockedIps : [];
-      if (ips.length === 0) {
-        const emptyBlocked = document.createElement('li');
-        emptyBlocked.className = 'empty';
-        emptyBlocked.textContent = '現在はありません。';
-        blockedList.appendChild(emptyBlocked);
-      } else {
-        ips.forEach((ip) => {
-          if (!ip) return;
-          const blockedItem = document.createElement('li');
-          const ipText = document.createElement('span');
-          ipText.textContent = ip;
-          blockedItem.appendChild(ipText);
-          const unblockBtn = document.createElement('button');
-          unblockBtn.type = 'button';
-          unblockBtn.className = 'secondary-button';
-          unblockBtn.textContent = '解除';
-          unblockBtn.addEventListener('click', () => {
-            unblockIpForRoom(name, ip);
-          });
-          blockedItem.appendChild(unblockBtn);
-          blockedList.appendChild(blockedItem);
-        });
-      }
-      blockedSection.appendChild(blockedList);
+      blockedSection.appendChild(
+        createBlockedIpList(Array.isArray(blockedIps) ? blockedIps : [], (rule) => unblockIpForRoom(name, rule))
+      );
+      blockedSection.appendChild(
+        createIpBlockForm(`ルーム「${name}」`, (entry) => blockIpForRoom(name, entry))
+      );
       info.appendChild(blockedSection);
 
       const actions = document.createElement('div');
       actions.className = 'actions';
-      const blockBtn = document.createElement('button');
-      blockBtn.type = 'button';
-      blockBtn.className = 'secondary-button';
-      blockBtn.textContent = 'IPをブロック';
-      blockBtn.addEventListener('click', () => {
+      const resetPasswordBtn = document.createElement('button');
+      resetPasswordBtn.type = 'button';
+      resetPasswordBtn.className = 'secondary-button';
+      resetPasswordBtn.textContent = 'パスワードを再設定';
+      resetPasswordBtn.addEventListener('click', () => {
         if (!adminToken) return;
-        const input = prompt(`ルーム「${name}」でブロックするIPアドレスを入力してください。`);
+        const input = prompt(`ルーム「${name}」の新しいパスワードを入力してください。`);
         if (!input) {
           return;
         }
-        blockIpForRoom(name, input.trim());
+        resetRoomPasswordForAdmin(name, input.trim());
+      });
+      actions.appendChild(resetPasswordBtn);
+      const deleteBtn = document.createElement('button');
+      deleteBtn.type = 'button';
+      deleteBtn.className = 'danger';
+      deleteBtn.textContent = '削除';
+      deleteBtn.addEventListener('click', () => {
+        if (!adminToken) return;
+        if (!confirm(`ルーム「${name}」を削除しますか？`)) {
+          return;
+        }
+        deleteAdminRoom(name);
+      });
+      actions.appendChild(deleteBtn);
+
+      item.appendChild(info);
+      item.appendChild(actions);
+      adminRoomList.appendChild(item);
+    });
+  }
+
+  function createBlockedIpList(entries, onUnblock) {
+    const list = document.createElement('ul');
+    list.className = 'blocked-ip-list';
+    if (entries.length === 0) {
+      const emptyItem = document.createElement('li');
+      emptyItem.className = 'empty';
+      emptyItem.textContent = '現在はありません。';
+      list.appendChild(emptyItem);
+      return list;
+    }
+    entries.forEach(({ rule, note, expiresAt }) => {
+      if (!rule) return;
+      const item = document.createElement('li');
+      const details = document.createElement('div');
+      details.className = 'details';
+      const ruleText = document.createElement('span');
+      ruleText.className = 'rule';
+      ruleText.textContent = rule;
+      details.appendChild(ruleText);
+      const meta = document.createElement('span');
+      meta.className = 'meta';
+      meta.textContent = expiresAt ? `${formatMuteEnd(expiresAt)}まで` : '無期限';
+      details.appendChild(meta);
+      if (note) {
+        const noteText = document.createElement('span');
+        noteText.className = 'note';
+        noteText.textContent = note;
+        details.appendChild(noteText);
+      }
+      item.appendChild(details);
+      const unblockBtn = document.createElement('button');
+      unblockBtn.type = 'button';
+      unblockBtn.className = 'secondary-button';
+      unblockBtn.textContent = '解除';
+      unblockBtn.addEventListener('click', () => onUnblock(rule));
+      item.appendChild(unblockBtn);
+      list.appendChild(item);
+    });
+    return list;
+  }
+
+  function createIpBlockForm(target, onSubmit) {
+    const form = document.createElement('form');
+    form.className = 'ip-block-form';
+    const ipInput = document.createElement('input');
+    ipInput.type = 'text';
+    ipInput.placeholder = 'IPアドレスまたはCIDR(例: 203.0.113.0/24)';
+    ipInput.setAttribute('aria-label', `${target}でブロックするIPアドレスまたは範囲`);
+    const noteInput = document.createElement('input');
+    noteInput.type = 'text';
+    noteInput.maxLength = 200;
+    noteInput.placeholder = '理由(任意)';
+    noteInput.setAttribute('aria-label', 'ブロックの理由');
+    const durationSelect = createDurationSelect('ブロックの期間', '無期限', BAN_DURATIONS);
+    const submitBtn = document.createElement('button');
+    submitBtn.type = 'submit';
+    submitBtn.className = 'secondary-button';
+    submitBtn.textContent = 'ブロック';
+    form.appendChild(ipInput);
+    form.appendChild(noteInput);
+    form.appendChild(durationSelect);
+    form.appendChild(submitBtn);
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      if (!adminToken) return;
+      onSubmit({
+        ip: ipInput.value.trim(),
+        note: noteInput.value.trim(),
+        duration: durationSelect.value ? Number(durationSelect.value) : null,
+      });
+    });
+    return form;
+  }
+
+  function renderGlobalBlocklist(entries) {
+    if (!globalBlocklistEl) return;
+    globalBlocklistEl.innerHTML = '';
+    globalBlocklistEl.appendChild(createBlockedIpList(Array.isArray(entries) ? entries : [], unblockIpGlobally));
+    globalBlocklistEl.appendChild(createIpBlockForm('サーバー全体', blockIpGlobally));
+  }
+
+  function createDurationSelect(ariaLabel, placeholder, durations) {
+    const select = document.createElement('select');
+    select.setAttribute('aria-label', ariaLabel);
+    select.appendChild(new Option(placeholder, ''));
+    durations.forEach(({ label, ms }) => {
+      select.appendChild(new Option(label, String(ms)));
+    });
+    return select;
+  }
+
+  function createRestrictionItem(name, { memberId, user, until }, kind) {
+    const item = document.createElement('li');
+    const label = document.createElement('span');
+    label.textContent = `${user}: ${kind === 'ban' ? '参加禁止' : 'ミュート'}(${formatMuteEnd(until)}まで)`;
+    item.appendChild(label);
+    const liftBtn = document.createElement('button');
+    liftBtn.type = 'button';
+    liftBtn.className = 'secondary-button';
+    liftBtn.textContent = '解除';
+    liftBtn.addEventListener('click', () => {
+      moderateMemberForAdmin(name, kind, {
+        method: 'DELETE',
+        body: { memberId },
+        success: `${user}の${kind === 'ban' ? '参加禁止' : 'ミュート'}を解除しました。`,
+      });
+    });
+    item.appendChild(liftBtn);
+    return item;
+  }
+
+  // Members currently in the room with kick / mute / ban controls, followed by the active mutes and bans.
+  function createAdminMemberSection(name, { members, mutes, bans }) {
+    const section = document.createElement('div');
+    section.className = 'member-moderation-section';
+    const membersTitle = document.createElement('span');
+    membersTitle.className = 'title';
+    membersTitle.textContent = '参加中のメンバー';
+    section.appendChild(membersTitle);
+    const memberList = document.createElement('ul');
+    memberList.className = 'admin-member-list';
+    const memberEntries = Array.isArray(members) ? members : [];
+    if (memberEntries.length === 0) {
+      const emptyItem = document.createElement('li');
+      emptyItem.className = 'empty';
+      emptyItem.textContent = '現在はいません。';
+      memberList.appendChild(emptyItem);
+    }
+    memberEntries.forEach(({ memberId, user, role }) => {
+      if (!memberId) return;
+      const memberItem = document.createElement('li');
+      const label = document.createElement('span');
+      label.className = 'member-name';
+      label.textContent = ROLE_LABELS[role] ? `${user}(${ROLE_LABELS[role]})` : user;
+      memberItem.appendChild(label);
+      const controls = document.createElement('div');
+      controls.className = 'member-controls';
+      const kickBtn = document.createElement('button');
+      kickBtn.type = 'button';
+      kickBtn.className = 'secondary-button';
+      kickBtn.textContent = 'キック';
+      kickBtn.addEventListener('click', () => {
+        if (!confirm(`${user}をルーム「${name}」から退出させますか？`)) return;
+        moderateMemberForAdmin(name, 'kick', { body: { memberId }, success: `${user}を退出させました。` });
       });
-      actions.appendChild(blockBtn);
-      const deleteBtn = document.createElement('button');
-      deleteBtn.type = 'button';
-      deleteBtn.className = 'danger';
-      deleteBtn.textContent = '削除';
-      deleteBtn.addEventListener('click', () => {
-        if (!adminToken) return;
-        if (!confirm(`ルーム「${name}」を削除しますか？`)) {
+      controls.appendChild(kickBtn);
+      const muteSelect = createDurationSelect(`${user}のミュート`, 'ミュート…', MUTE_DURATIONS);
+      muteSelect.addEventListener('change', () => {
+        if (!muteSelect.value) return;
+        moderateMemberForAdmin(name, 'mute', {
+          body: { memberId, duration: Number(muteSelect.value) },
+          success: `${user}をミュートしました。`,
+        });
+      });
+      controls.appendChild(muteSelect);
+      const banSelect = createDurationSelect(`${user}の参加禁止`, '参加禁止…', BAN_DURATIONS);
+      banSelect.addEventListener('change', () => {
+        if (!banSelect.value) return;
+        if (!confirm(`${user}のルーム「${name}」への参加を禁止しますか？`)) {
+          banSelect.value = '';
           return;
         }
-        deleteAdminRoom(name);
+        moderateMemberForAdmin(name, 'ban', {
+          body: { memberId, duration: Number(banSelect.value) },
+          success: `${user}の参加を禁止しました。`,
+        });
+      });
+      controls.appendChild(banSelect);
+      memberItem.appendChild(controls);
+      memberList.appendChild(memberItem);
+    });
+    section.appendChild(memberList);
+
+    const restrictionsTitle = document.createElement('span');
+    restrictionsTitle.className = 'title';
+    restrictionsTitle.textContent = 'ミュート・参加禁止中のユーザー';
+    section.appendChild(restrictionsTitle);
+    const restrictionList = document.createElement('ul');
+    restrictionList.className = 'restriction-list';
+    (Array.isArray(mutes) ? mutes : []).forEach((entry) => {
+      restrictionList.appendChild(createRestrictionItem(name, entry, 'mute'));
+    });
+    (Array.isArray(bans) ? bans : []).forEach((entry) => {
+      restrictionList.appendChild(createRestrictionItem(name, entry, 'ban'));
+    });
+    if (!restrictionList.firstChild) {
+      const emptyItem = document.createElement('li');
+      emptyItem.className = 'empty';
+      emptyItem.textContent = '現在はありません。';
+      restrictionList.appendChild(emptyItem);
+    }
+    section.appendChild(restrictionList);
+
+    // Members who already left can be banned by username.
+    const banForm = document.createElement('form');
+    banForm.className = 'ban-form';
+    const usernameInput = document.createElement('input');
+    usernameInput.type = 'text';
+    usernameInput.placeholder = 'ユーザー名';
+    usernameInput.setAttribute('aria-label', `ルーム「${name}」で参加を禁止するユーザー名`);
+    const durationSelect = createDurationSelect('参加禁止の期間', '期間…', BAN_DURATIONS);
+    const banBtn = document.createElement('button');
+    banBtn.type = 'submit';
+    banBtn.className = 'secondary-button';
+    banBtn.textContent = '参加禁止';
+    banForm.appendChild(usernameInput);
+    banForm.appendChild(durationSelect);
+    banForm.appendChild(banBtn);
+    banForm.addEventListener('submit', (event) => {
+      event.preventDefault();
+      const username = usernameInput.value.trim();
+      if (!username || !durationSelect.value) {
+        adminError.textContent = 'ユーザー名と期間を選択してください。';
+        return;
+      }
+      moderateMemberForAdmin(name, 'ban', {
+        body: { username, duration: Number(durationSelect.value) },
+        success: `${username}の参加を禁止しました。`,
       });
-      actions.appendChild(deleteBtn);
-
-      item.appendChild(info);
-      item.appendChild(actions);
-      adminRoomList.appendChild(item);
     });
+    section.appendChild(banForm);
+    return section;
+  }
+
+  async function moderateMemberForAdmin(name, action, { method = 'POST', body, success }) {
+    if (!adminToken) return;
+    adminError.textContent = '';
+    try {
+      const response = await fetch(`/api/admin/rooms/${encodeURIComponent(name)}/${action}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          'x-admin-token': adminToken,
+        },
+        body: JSON.stringify(body),
+      });
+      if (response.status === 401) {
+        adminToken = null;
+        setAdminView(false);
+        adminError.textContent = '認証の有効期限が切れました。再度ログインしてください。';
+        return;
+      }
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || !data.ok) {
+        adminError.textContent = data && data.error ? data.error : 'メンバーの管理操作に失敗しました。';
+        loadAdminRooms();
+        return;
+      }
+      renderAdminRooms(data.rooms || []);
+      adminError.textContent = success;
+    } catch (error) {
+      console.warn('メンバーの管理操作に失敗しました:', error);
+      adminError.textContent = 'メンバーの管理操作に失敗しました。';
+    }
   }
 
   async function loadAdminRooms() {
@@ -1949,7 +4554,153 @@
     }
   }
 
-  async function blockIpForRoom(name, ip) {
+  async function updateRoomRetention(name, retention) {
+    if (!adminToken) return;
+    adminError.textContent = '';
+    try {
+      const response = await fetch(`/api/admin/rooms/${encodeURIComponent(name)}/retention`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-admin-token': adminToken,
+        },
+        body: JSON.stringify({ retention }),
+      });
+      if (response.status === 401) {
+        adminToken = null;
+        setAdminView(false);
+        adminError.textContent = '認証の有効期限が切れました。再度ログインしてください。';
+        return;
+      }
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || !data.ok) {
+        const message = data && data.error ? data.error : '保存期間の変更に失敗しました。';
+        adminError.textContent = message;
+        return;
+      }
+      renderAdminRooms(data.rooms || []);
+      adminError.textContent = `ルーム「${name}」の保存期間を「${describeRetention(retention)}」に変更しました。`;
+    } catch (error) {
+      console.warn('保存期間の変更に失敗しました:', error);
+      adminError.textContent = '保存期間の変更に失敗しました。';
+    }
+  }
+
+  async function resetRoomPasswordForAdmin(name, password) {
+    if (!adminToken) return;
+    if (!password) {
+      adminError.textContent = '新しいパスワードを入力してください。';
+      return;
+    }
+    adminError.textContent = '';
+    try {
+      const response = await fetch(`/api/admin/rooms/${encodeURIComponent(name)}/password`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-admin-token': adminToken,
+        },
+        body: JSON.stringify({ password }),
+      });
+      if (response.status === 401) {
+        adminToken = null;
+        setAdminView(false);
+        adminError.textContent = '認証の有効期限が切れました。再度ログインしてください。';
+        return;
+      }
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || !data.ok) {
+        const message = data && data.error ? data.error : 'パスワードの再設定に失敗しました。';
+        adminError.textContent = message;
+        return;
+      }
+      renderAdminRooms(data.rooms || []);
+      adminError.textContent = `ルーム「${name}」のパスワードを再設定しました。`;
+    } catch (error) {
+      console.warn('パスワードの再設定に失敗しました:', error);
+      adminError.textContent = 'パスワードの再設定に失敗しました。';
+    }
+  }
+
+  async function exportRoomHistoryForAdmin(name, format) {
+    if (!adminToken) return;
+    adminError.textContent = '';
+    try {
+      const query = new URLSearchParams({ format, timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC' });
+      const response = await fetch(`/api/admin/rooms/${encodeURIComponent(name)}/export?${query}`, {
+        headers: {
+          'x-admin-token': adminToken,
+        },
+      });
+      if (response.status === 401) {
+        adminToken = null;
+        setAdminView(false);
+        adminError.textContent = '認証の有効期限が切れました。再度ログインしてください。';
+        return;
+      }
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        adminError.textContent = data && data.error ? data.error : 'エクスポートに失敗しました。';
+        return;
+      }
+      const blob = await response.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${name}-${new Date().toISOString().slice(0, 10)}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    } catch (error) {
+      console.warn('エクスポートに失敗しました:', error);
+      adminError.textContent = 'エクスポートに失敗しました。';
+    }
+  }
+
+  async function importRoomHistoryForAdmin(name, file) {
+    if (!adminToken) return;
+    adminError.textContent = '';
+    let archive;
+    try {
+      archive = JSON.parse(await file.text());
+    } catch (error) {
+      adminError.textContent = 'JSONファイルを読み込めませんでした。';
+      return;
+    }
+    const count = archive && Array.isArray(archive.messages) ? archive.messages.length : 0;
+    if (!confirm(`「${file.name}」の${count}件のメッセージをルーム「${name}」にインポートしますか？`)) {
+      return;
+    }
+    try {
+      const response = await fetch(`/api/admin/rooms/${encodeURIComponent(name)}/import`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-admin-token': adminToken,
+        },
+        body: JSON.stringify(archive),
+      });
+      if (response.status === 401) {
+        adminToken = null;
+        setAdminView(false);
+        adminError.textContent = '認証の有効期限が切れました。再度ログインしてください。';
+        return;
+      }
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || !data.ok) {
+        adminError.textContent = data && data.error ? data.error : 'インポートに失敗しました。';
+        return;
+      }
+      renderAdminRooms(data.rooms || []);
+      adminError.textContent = `ルーム「${name}」に${data.imported}件のメッセージをインポートしました(既存の${data.skipped}件はスキップ)。`;
+    } catch (error) {
+      console.warn('インポートに失敗しました:', error);
+      adminError.textContent = 'インポートに失敗しました。';
+    }
+  }
+
+  async function blockIpForRoom(name, { ip, note, duration }) {
     if (!adminToken) return;
     const trimmedIp = typeof ip === 'string' ? ip.trim() : '';
     if (!trimmedIp) {
@@ -1964,7 +4715,7 @@
           'Content-Type': 'application/json',
           'x-admin-token': adminToken,
         },
-        body: JSON.stringify({ ip: trimmedIp }),
+        body: JSON.stringify({ ip: trimmedIp, note, duration }),
       });
       if (response.status === 401) {
         adminToken = null;
@@ -2025,6 +4776,62 @@
     }
   }
 
+  async function requestGlobalBlocklist(method, body, { success, failure }) {
+    if (!adminToken) return;
+    try {
+      const response = await fetch('/api/admin/blocklist', {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          'x-admin-token': adminToken,
+        },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      if (response.status === 401) {
+        adminToken = null;
+        setAdminView(false);
+        adminError.textContent = '認証の有効期限が切れました。再度ログインしてください。';
+        return;
+      }
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || !data.ok) {
+        adminError.textContent = data && data.error ? data.error : failure;
+        return;
+      }
+      renderGlobalBlocklist(data.blocklist || []);
+      if (success) {
+        adminError.textContent = success;
+      }
+    } catch (error) {
+      console.warn(failure, error);
+      adminError.textContent = failure;
+    }
+  }
+
+  function loadGlobalBlocklist() {
+    return requestGlobalBlocklist('GET', null, { failure: 'ブロックリストの取得に失敗しました。' });
+  }
+
+  function blockIpGlobally({ ip, note, duration }) {
+    if (!ip) {
+      adminError.textContent = 'IPアドレスを入力してください。';
+      return;
+    }
+    adminError.textContent = '';
+    requestGlobalBlocklist('POST', { ip, note, duration }, {
+      success: `「${ip}」をサーバー全体でブロックしました。`,
+      failure: 'IPアドレスのブロックに失敗しました。',
+    });
+  }
+
+  function unblockIpGlobally(rule) {
+    adminError.textContent = '';
+    requestGlobalBlocklist('DELETE', { ip: rule }, {
+      success: `「${rule}」のブロックを解除しました。`,
+      failure: 'IPアドレスの解除に失敗しました。',
+    });
+  }
+
   iconInput.addEventListener('change', async (event) => {
     const [file] = event.target.files || [];
     if (!file) return;
@@ -2059,31 +4866,131 @@
   sendBtn.addEventListener('click', () => {
     if (!joined || !ROOM) return;
     const text = inputEl.value.trim();
+    if (text && activeConversation) {
+      const peer = activeConversation;
+      socket.emit('direct-message', { to: peer, text }, (response = {}) => {
+        if (!response || response.ok !== true) {
+          alert(response && response.error ? response.error : 'メッセージを送信できませんでした。');
+          return;
+        }
+        receiveDirectMessage(response.message);
+      });
+      inputEl.value = '';
+      return;
+    }
     if (text) {
-      socket.emit('message', { user: userName, text, room: ROOM, icon: userIcon });
+      queueOutgoingMessage(text);
       inputEl.value = '';
+      closeMentionSuggestions();
+      clearPendingReply();
     }
   });
 
+  if (attachFileBtn && attachmentInput) {
+    attachFileBtn.addEventListener('click', () => {
+      if (!joined || !ROOM || uploadingAttachment) return;
+      attachmentInput.click();
+    });
+    attachmentInput.addEventListener('change', (event) => {
+      const [file] = event.target.files || [];
+      attachmentInput.value = '';
+      if (file) {
+        sendAttachment(file);
+      }
+    });
+  }
+
+  if (recordVoiceBtn) {
+    recordVoiceBtn.addEventListener('click', () => {
+      if (voiceRecording) {
+        stopVoiceRecording();
+      } else {
+        startVoiceRecording();
+      }
+    });
+  }
+
+  if (cancelReplyBtn) {
+    cancelReplyBtn.addEventListener('click', () => {
+      clearPendingReply();
+      inputEl.focus();
+    });
+  }
+
   inputEl.addEventListener('input', () => {
-    if (!joined || !ROOM) return;
+    updateMentionSuggestions();
+    if (!joined || !ROOM || activeConversation) return;
     emitTyping();
   });
 
   inputEl.addEventListener('keydown', (e) => {
+    if (mentionState && handleMentionKeydown(e)) {
+      return;
+    }
     if (e.key === 'Enter' && !inputEl.disabled) {
       sendBtn.click();
     }
   });
 
+  inputEl.addEventListener('blur', () => {
+    // Let a click on a suggestion land before the list disappears.
+    setTimeout(closeMentionSuggestions, 150);
+  });
+
+  if (notificationModeSelect) {
+    notificationModeSelect.addEventListener('change', () => {
+      saveNotificationPreference(notificationModeSelect.value);
+    });
+  }
+
   // Receive chat message
   socket.on('message', (msg) => {
     addMessage(msg);
-    if (document.hidden) {
+    if (activeConversation !== null) {
+      roomUnreadCount += 1;
+      renderConversationSwitcher();
+    }
+    if (document.hidden && shouldNotifyForMessage(msg)) {
       showNotification(msg);
     }
   });
 
+  socket.on('direct-message', (msg) => {
+    receiveDirectMessage(msg);
+    const preference = getNotificationPreference();
+    if (
+      document.hidden &&
+      msg &&
+      msg.memberId !== selfMemberId &&
+      preference.mode !== 'muted' &&
+      !isMutedUntilLater(preference)
+    ) {
+      showNotification({ ...msg, user: `${msg.from}（DM）` });
+    }
+  });
+
+  function applyMessageUpdate(msg) {
+    if (!msg || typeof msg.id !== 'string') return;
+    const built = replaceMessageElement(msg);
+    if (!ROOM) return;
+    updateLocalMessage(ROOM, built ? built.persisted : msg);
+    if (msg.deleted) {
+      rebuildLiveMapFromCache();
+    }
+  }
+
+  socket.on('message-updated', (msg) => {
+    applyMessageUpdate(msg);
+  });
+
+  socket.on('read-position', (payload = {}) => {
+    if (!payload || typeof payload.memberId !== 'string' || typeof payload.time !== 'number') return;
+    const current = readPositions.get(payload.memberId);
+    if (current && current.time > payload.time) return;
+    readPositions.set(payload.memberId, { messageId: payload.messageId, time: payload.time });
+    updateReadReceipts();
+  });
+
   socket.on('system', (msg) => {
     addMessage({ user: 'system', text: msg, time: Date.now() }, { persist: false });
   });
@@ -2091,7 +4998,7 @@
   socket.on('typing', (payload = {}) => {
     if (!payload || typeof payload !== 'object') return;
     if (typeof payload.user === 'string') {
-      registerTypingUser(payload.user);
+      registerTypingUser(payload);
     }
   });
 
@@ -2101,10 +5008,32 @@
 
   socket.on('connect', () => {
     setConnectionStatus('online');
+    if (joined && resumeToken) {
+      resumeRoomSession();
+    }
   });
 
   socket.on('disconnect', () => {
     setConnectionStatus(navigator.onLine ? 'reconnecting' : 'offline');
+    roomSessionReady = false;
+    if (outbox && outboxEntries.size > 0) {
+      outbox.requestBackgroundSync();
+    }
+  });
+
+  socket.on('connect_error', (error) => {
+    if (error && error.data && error.data.code === 'ip-blocked') {
+      setConnectionStatus('offline');
+      joinError.textContent = error.message;
+      return;
+    }
+    // The server rejects the handshake when the session token is missing, expired or revoked.
+    if (!error || !error.data || error.data.code !== 'unauthorized') return;
+    clearSessionToken();
+    if (joined) {
+      exitCurrentRoom();
+    }
+    showAccountStep(error.message || 'ログインが必要です。');
   });
 
   if (socket.io && socket.io.on) {
@@ -2161,11 +5090,27 @@
       if (typeof payload.user === 'string' && payload.user.trim()) {
         userName = payload.user.trim();
       }
+      if (currentAccount) {
+        currentAccount = {
+          ...currentAccount,
+          displayName: userName,
+          icon: Object.prototype.hasOwnProperty.call(payload, 'icon') ? payload.icon ?? null : currentAccount.icon,
+        };
+      }
     }
   });
 
   socket.on('clear-history', (payload = {}) => {
     const targetRoom = payload.room || ROOM;
+    const ids = Array.isArray(payload.ids) ? payload.ids : null;
+    const before = typeof payload.before === 'number' ? payload.before : null;
+    if (ids || before !== null) {
+      pruneLocalMessages(targetRoom, { ids, before });
+      if (ROOM && targetRoom === ROOM) {
+        removeExpiredMessageElements({ ids, before });
+      }
+      return;
+    }
     if (!ROOM || targetRoom !== ROOM) {
       if (payload.room) {
         clearLocalMessages(payload.room);
@@ -2194,6 +5139,34 @@
     fetchRooms();
   });
 
+  socket.on('kicked', ({ room, bannedUntil } = {}) => {
+    if (!room || ROOM !== room) return;
+    exitCurrentRoom(
+      bannedUntil
+        ? `${formatMuteEnd(bannedUntil)}までこのルームへの参加が禁止されました。`
+        : 'ルームから退出させられました。'
+    );
+  });
+
+  socket.on('muted', ({ room, until } = {}) => {
+    if (!room || ROOM !== room) return;
+    applyMutedUntil(until);
+    const text = selfMutedUntil
+      ? `モデレーターによって${formatMuteEnd(selfMutedUntil)}までミュートされました。`
+      : 'ミュートが解除されました。';
+    addMessage({ user: 'system', text, time: Date.now() }, { persist: false });
+  });
+
+  // The server disconnects right after this event and refuses to reconnect from the blocked address.
+  socket.on('ip-blocked', () => {
+    const message = 'このIPアドレスからの接続は管理者によってブロックされました。';
+    if (joined) {
+      exitCurrentRoom(message);
+    } else {
+      joinError.textContent = message;
+    }
+  });
+
   socket.on('room-blocked', ({ room } = {}) => {
     if (room && ROOM === room) {
       exitCurrentRoom('このルームへの参加は管理者によってブロックされました。');
@@ -2570,5 +5543,12 @@
         console.error('Service Worker registration failed:', err);
       });
     });
+    navigator.serviceWorker.addEventListener('message', (event) => {
+      if (event.data && event.data.type === 'outbox-updated' && joined) {
+        refreshOutboxStatuses();
+      } else if (event.data && event.data.type === 'open-room') {
+        openRoomFromNotification(event.data.room);
+      }
+    });
   }
 })();
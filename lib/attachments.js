@@ -0,0 +1,57 @@
+/*
+ * Local disk storage for chat attachments.
+ *
+ * Attachment metadata lives in the regular store; this module only deals
+ * with the binary blobs. Each upload is written as `<id>` inside the
+ * attachments directory, with an optional `<id>.thumb` next to it for image
+ * previews generated by the client.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ID_PATTERN = /^[a-zA-Z0-9-]+$/;
+
+function createAttachmentStore({ directory } = {}) {
+  if (!directory) {
+    throw new Error('A directory is required for attachment storage.');
+  }
+  fs.mkdirSync(directory, { recursive: true });
+
+  function resolvePath(id, { thumbnail = false } = {}) {
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+      throw new Error(`Invalid attachment id: ${id}`);
+    }
+    return path.join(directory, thumbnail ? `${id}.thumb` : id);
+  }
+
+  function write(id, buffer, options) {
+    const filePath = resolvePath(id, options);
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, buffer);
+    fs.renameSync(tempPath, filePath);
+  }
+
+  function remove(id) {
+    [false, true].forEach((thumbnail) => {
+      try {
+        fs.unlinkSync(resolvePath(id, { thumbnail }));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error('Failed to remove attachment file', id, error);
+        }
+      }
+    });
+  }
+
+  return {
+    directory,
+    resolvePath,
+    write,
+    remove,
+  };
+}
+
+module.exports = {
+  createAttachmentStore,
+};
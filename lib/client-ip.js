@@ -0,0 +1,127 @@
+/*
+ * Client IP detection behind reverse proxies.
+ *
+ * The address of the TCP peer is only replaced by one from a forwarding
+ * header when the peer is a trusted proxy. Only the configured header is
+ * read, either `X-Forwarded-For` or the RFC 7239 `Forwarded` header: proxies
+ * usually pass the other one through from the client untouched. The chain is
+ * walked from the right (the hop closest to us) and the first address that
+ * is not a trusted proxy is the client. Anything a client could have written
+ * itself, i.e. entries left of the first untrusted hop, is ignored.
+ *
+ * Trusted proxies are given as addresses or CIDR ranges; `loopback` and
+ * `private` are shorthands for the loopback and private-use ranges.
+ */
+
+const net = require('net');
+const { parseIpRule } = require('./ip-blocklist');
+
+const FORWARDING_HEADERS = ['x-forwarded-for', 'forwarded'];
+
+const PROXY_PRESETS = {
+  loopback: ['127.0.0.0/8', '::1/128'],
+  private: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7'],
+};
+
+function normalizeIp(ip) {
+  if (typeof ip !== 'string') {
+    return '';
+  }
+  let value = ip.trim();
+  if (!value) {
+    return '';
+  }
+  if (value.startsWith('::ffff:')) {
+    value = value.slice(7);
+  }
+  if (value === '::1') {
+    return '127.0.0.1';
+  }
+  return value;
+}
+
+// Strip the brackets and port a proxy may add, e.g. `[2001:db8::1]:4711` or `192.0.2.1:8080`.
+function parseForwardedAddress(value) {
+  let address = value.trim().replace(/^"(.*)"$/, '$1');
+  if (address.startsWith('[')) {
+    address = address.slice(1, address.indexOf(']'));
+  } else if (/^[\d.]+:\d+$/.test(address)) {
+    address = address.slice(0, address.lastIndexOf(':'));
+  }
+  const normalized = normalizeIp(address);
+  return net.isIP(normalized) ? normalized : null;
+}
+
+function headerValue(headers, name) {
+  const value = headers ? headers[name] : undefined;
+  return Array.isArray(value) ? value.join(',') : value;
+}
+
+// Hop addresses from the forwarding header, nearest proxy last. Hops that are not IP addresses
+// (such as `for=unknown` or obfuscated identifiers) are kept as null so the walk stops there.
+function getForwardedChain(headers, header) {
+  const value = headerValue(headers, header);
+  if (typeof value !== 'string' || !value.trim()) {
+    return [];
+  }
+  if (header === 'x-forwarded-for') {
+    return value.split(',').map(parseForwardedAddress);
+  }
+  return value.split(',').map((element) => {
+    const pair = element.split(';').find((part) => /^\s*for=/i.test(part));
+    return pair ? parseForwardedAddress(pair.slice(pair.indexOf('=') + 1)) : null;
+  });
+}
+
+function createClientIpResolver({ trustedProxies = [], header = 'x-forwarded-for' } = {}) {
+  const forwardingHeader = String(header).trim().toLowerCase();
+  if (!FORWARDING_HEADERS.includes(forwardingHeader)) {
+    throw new Error(`Invalid trusted proxy header: ${header}`);
+  }
+  const trusted = new net.BlockList();
+  let hasTrusted = false;
+  trustedProxies
+    .flatMap((value) => PROXY_PRESETS[value] || [value])
+    .forEach((value) => {
+      const rule = parseIpRule(value);
+      if (!rule) {
+        throw new Error(`Invalid trusted proxy: ${value}`);
+      }
+      if (rule.prefix === null) {
+        trusted.addAddress(rule.address, rule.family);
+      } else {
+        trusted.addSubnet(rule.address, rule.prefix, rule.family);
+      }
+      hasTrusted = true;
+    });
+
+  function isTrusted(ip) {
+    const version = net.isIP(ip);
+    return hasTrusted && version !== 0 && trusted.check(ip, version === 6 ? 'ipv6' : 'ipv4');
+  }
+
+  function resolve(remoteAddress, headers) {
+    let client = normalizeIp(remoteAddress);
+    // Loopback peers are normalized to 127.0.0.1, so check the raw address too (e.g. a `::1/128` entry).
+    if (!isTrusted(client) && !isTrusted(remoteAddress)) {
+      return client;
+    }
+    const chain = getForwardedChain(headers, forwardingHeader);
+    for (let index = chain.length - 1; index >= 0; index -= 1) {
+      const hop = chain[index];
+      if (!hop) break;
+      client = hop;
+      if (!isTrusted(hop)) break;
+    }
+    return client;
+  }
+
+  return {
+    resolve,
+  };
+}
+
+module.exports = {
+  createClientIpResolver,
+  normalizeIp,
+};
@@ -0,0 +1,132 @@
+/*
+ * IP blocklists made of single addresses and CIDR ranges (IPv4 and IPv6).
+ *
+ * Each list keeps plain entries that can be persisted as-is:
+ *
+ *   { rule, note, createdAt, expiresAt }
+ *
+ * `rule` is an address or `address/prefix`, `expiresAt` is null for entries
+ * that never expire. Lookups go through a net.BlockList that is rebuilt from
+ * the active entries whenever the list changes or an entry expires.
+ */
+
+const net = require('net');
+
+const MAX_NOTE_LENGTH = 200;
+
+// Returns `{ rule, address, prefix, family }` for an address or CIDR range, or null when it is not valid.
+function parseIpRule(value) {
+  if (typeof value !== 'string') return null;
+  const [address, prefixText, ...rest] = value.trim().split('/');
+  const version = net.isIP(address);
+  if (!version || rest.length > 0) return null;
+  const family = version === 6 ? 'ipv6' : 'ipv4';
+  if (prefixText === undefined) {
+    return { rule: address, address, prefix: null, family };
+  }
+  const prefix = Number(prefixText);
+  if (!/^\d{1,3}$/.test(prefixText) || prefix > (version === 6 ? 128 : 32)) return null;
+  return { rule: `${address}/${prefix}`, address, prefix, family };
+}
+
+function sanitizeNote(value) {
+  return typeof value === 'string' ? value.trim().slice(0, MAX_NOTE_LENGTH) : '';
+}
+
+// Accepts stored entries as well as the bare address strings written by older versions.
+function sanitizeEntry(value) {
+  const raw = typeof value === 'string' ? { rule: value } : value;
+  const parsed = raw && typeof raw === 'object' ? parseIpRule(raw.rule) : null;
+  if (!parsed) return null;
+  return {
+    rule: parsed.rule,
+    note: sanitizeNote(raw.note),
+    createdAt: typeof raw.createdAt === 'number' ? raw.createdAt : null,
+    expiresAt: typeof raw.expiresAt === 'number' ? raw.expiresAt : null,
+  };
+}
+
+function createIpBlocklist(initialEntries = []) {
+  const entries = new Map();
+  let blockList = null;
+
+  (Array.isArray(initialEntries) ? initialEntries : []).forEach((value) => {
+    const entry = sanitizeEntry(value);
+    if (entry) {
+      entries.set(entry.rule, entry);
+    }
+  });
+
+  function prune(now = Date.now()) {
+    entries.forEach((entry, rule) => {
+      if (entry.expiresAt !== null && entry.expiresAt <= now) {
+        entries.delete(rule);
+        blockList = null;
+      }
+    });
+  }
+
+  function getBlockList() {
+    prune();
+    if (!blockList) {
+      blockList = new net.BlockList();
+      entries.forEach(({ rule }) => {
+        const { address, prefix, family } = parseIpRule(rule);
+        if (prefix === null) {
+          blockList.addAddress(address, family);
+        } else {
+          blockList.addSubnet(address, prefix, family);
+        }
+      });
+    }
+    return blockList;
+  }
+
+  // Adding a rule that is already listed replaces its note and expiry.
+  function add(value, { note, expiresAt = null, now = Date.now() } = {}) {
+    const parsed = parseIpRule(value);
+    if (!parsed) {
+      throw new Error('有効なIPアドレスまたはCIDR範囲を入力してください。');
+    }
+    const entry = {
+      rule: parsed.rule,
+      note: sanitizeNote(note),
+      createdAt: now,
+      expiresAt: typeof expiresAt === 'number' ? expiresAt : null,
+    };
+    entries.set(entry.rule, entry);
+    blockList = null;
+    return entry;
+  }
+
+  function remove(value) {
+    const parsed = parseIpRule(value);
+    if (!parsed || !entries.has(parsed.rule)) return false;
+    entries.delete(parsed.rule);
+    blockList = null;
+    return true;
+  }
+
+  function has(ip) {
+    const version = net.isIP(typeof ip === 'string' ? ip : '');
+    if (!version || entries.size === 0) return false;
+    return getBlockList().check(ip, version === 6 ? 'ipv6' : 'ipv4');
+  }
+
+  function list() {
+    prune();
+    return Array.from(entries.values()).map((entry) => ({ ...entry }));
+  }
+
+  return {
+    add,
+    remove,
+    has,
+    list,
+  };
+}
+
+module.exports = {
+  createIpBlocklist,
+  parseIpRule,
+};
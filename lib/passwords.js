@@ -0,0 +1,49 @@
+/*
+ * Password hashing helpers built on Node's scrypt implementation.
+ *
+ * Hashes are stored as `scrypt:<salt>:<derived key>` with both parts hex
+ * encoded, so the salt travels with the hash and nothing else needs to be
+ * persisted to verify a password later.
+ */
+
+const crypto = require('crypto');
+
+const HASH_PREFIX = 'scrypt';
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const derived = crypto.scryptSync(String(password), salt, KEY_LENGTH);
+  return `${HASH_PREFIX}:${salt.toString('hex')}:${derived.toString('hex')}`;
+}
+
+function isPasswordHash(value) {
+  if (typeof value !== 'string') return false;
+  const parts = value.split(':');
+  return parts.length === 3 && parts[0] === HASH_PREFIX && parts[1].length > 0 && parts[2].length > 0;
+}
+
+function verifyPassword(password, storedHash) {
+  return new Promise((resolve) => {
+    if (typeof password !== 'string' || !isPasswordHash(storedHash)) {
+      resolve(false);
+      return;
+    }
+    const [, saltHex, keyHex] = storedHash.split(':');
+    const expected = Buffer.from(keyHex, 'hex');
+    crypto.scrypt(password, Buffer.from(saltHex, 'hex'), expected.length, (error, derived) => {
+      if (error) {
+        resolve(false);
+        return;
+      }
+      resolve(derived.length === expected.length && crypto.timingSafeEqual(derived, expected));
+    });
+  });
+}
+
+module.exports = {
+  hashPassword,
+  isPasswordHash,
+  verifyPassword,
+};
@@ -0,0 +1,116 @@
+/*
+ * Flood protection: token buckets for socket events and API requests, and
+ * an exponential lockout for repeated failed logins.
+ *
+ * Limits are expressed as `count` events per `windowMs`. A bucket starts
+ * full, so a client can burst up to `count` events and is then refilled at
+ * `count / windowMs` tokens per millisecond. Buckets are kept per event type
+ * and key (a socket ID or a client IP).
+ */
+
+// Parse `type=count/seconds` pairs separated by commas; `type=off` disables a limit.
+function parseRateLimits(value, defaults) {
+  const limits = { ...defaults };
+  if (typeof value !== 'string' || !value.trim()) {
+    return limits;
+  }
+  value.split(',').forEach((part) => {
+    const match = part.trim().match(/^([a-z-]+)=(?:off|(\d+)\/(\d+))$/);
+    if (!match || (match[2] !== undefined && (Number(match[2]) === 0 || Number(match[3]) === 0))) {
+      throw new Error(`Invalid rate limit: ${part.trim()}`);
+    }
+    const [, type, count, seconds] = match;
+    limits[type] = count === undefined ? null : { count: Number(count), windowMs: Number(seconds) * 1000 };
+  });
+  return limits;
+}
+
+function createRateLimiter(limits) {
+  const buckets = new Map();
+
+  // `notify` is true only for the first rejection after an allowed event, so a flood is reported once.
+  function consume(type, key, now = Date.now()) {
+    const limit = limits[type];
+    if (!limit) {
+      return { ok: true, retryAfterMs: 0, notify: false };
+    }
+    const id = `${type}\0${key}`;
+    const refillPerMs = limit.count / limit.windowMs;
+    const bucket = buckets.get(id) || { tokens: limit.count, updatedAt: now, notified: false };
+    bucket.tokens = Math.min(limit.count, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+    buckets.set(id, bucket);
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      bucket.notified = false;
+      return { ok: true, retryAfterMs: 0, notify: false };
+    }
+    const notify = !bucket.notified;
+    bucket.notified = true;
+    return { ok: false, retryAfterMs: Math.ceil((1 - bucket.tokens) / refillPerMs), notify };
+  }
+
+  // A bucket that has refilled completely behaves like a missing one, so it can be dropped.
+  function prune(now = Date.now()) {
+    buckets.forEach((bucket, id) => {
+      const limit = limits[id.slice(0, id.indexOf('\0'))];
+      if (!limit || now - bucket.updatedAt >= limit.windowMs) {
+        buckets.delete(id);
+      }
+    });
+  }
+
+  return {
+    consume,
+    prune,
+  };
+}
+
+// After `maxAttempts` failures in a row, every further failure locks the key for twice as long as the
+// previous one, starting at `baseLockoutMs` and capped at `maxLockoutMs`. A successful login resets it.
+function createLoginThrottle({ maxAttempts = 5, baseLockoutMs = 30 * 1000, maxLockoutMs = 15 * 60 * 1000 } = {}) {
+  const failures = new Map();
+
+  function getRetryAfter(key, now = Date.now()) {
+    const entry = failures.get(key);
+    return entry && entry.lockedUntil > now ? entry.lockedUntil - now : 0;
+  }
+
+  function recordFailure(key, now = Date.now()) {
+    const entry = failures.get(key) || { count: 0, lockedUntil: 0, lastFailure: now };
+    entry.count += 1;
+    entry.lastFailure = now;
+    if (entry.count >= maxAttempts) {
+      const exponent = Math.min(entry.count - maxAttempts, 30);
+      entry.lockedUntil = now + Math.min(baseLockoutMs * 2 ** exponent, maxLockoutMs);
+    }
+    failures.set(key, entry);
+    return getRetryAfter(key, now);
+  }
+
+  function recordSuccess(key) {
+    failures.delete(key);
+  }
+
+  // Forget keys whose last failure is older than the longest lockout.
+  function prune(now = Date.now()) {
+    failures.forEach((entry, key) => {
+      if (entry.lockedUntil <= now && now - entry.lastFailure >= maxLockoutMs) {
+        failures.delete(key);
+      }
+    });
+  }
+
+  return {
+    getRetryAfter,
+    recordFailure,
+    recordSuccess,
+    prune,
+  };
+}
+
+module.exports = {
+  createLoginThrottle,
+  createRateLimiter,
+  parseRateLimits,
+};
@@ -0,0 +1,149 @@
+/*
+ * Export formats for room history.
+ *
+ * The JSON archive is the canonical format and the only one that can be
+ * imported again. CSV is meant for spreadsheets, and the HTML transcript is
+ * a single file with inline styles and the members' icons embedded as data
+ * URLs, so it can be opened without the server.
+ */
+
+const ARCHIVE_FORMAT = 'pwa-chat-room-export';
+const ARCHIVE_VERSION = 1;
+const CSV_COLUMNS = ['id', 'time', 'user', 'memberId', 'text', 'location', 'attachments', 'replyTo', 'editedAt', 'deleted'];
+
+function createArchive(room, messages, { exportedAt = Date.now() } = {}) {
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    room,
+    exportedAt,
+    messages,
+  };
+}
+
+function getMapsUrl(location) {
+  return `https://www.google.com/maps?q=${location.latitude},${location.longitude}`;
+}
+
+function getAttachmentNames(message) {
+  return Array.isArray(message.attachments) ? message.attachments.map((attachment) => attachment.name) : [];
+}
+
+function formatIsoTime(value) {
+  return typeof value === 'number' ? new Date(value).toISOString() : '';
+}
+
+function escapeCsvField(value) {
+  let field = value === undefined || value === null ? '' : String(value);
+  // Keep spreadsheets from evaluating message text as a formula.
+  if (/^[=+\-@\t\r]/.test(field)) {
+    field = `'${field}`;
+  }
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}
+
+function toCsv(messages) {
+  const rows = messages.map((message) => [
+    message.id,
+    formatIsoTime(message.time),
+    message.user,
+    message.memberId,
+    message.deleted ? '' : message.text,
+    message.location && !message.deleted ? getMapsUrl(message.location) : '',
+    getAttachmentNames(message).join('; '),
+    message.replyTo ? message.replyTo.id : '',
+    formatIsoTime(message.editedAt),
+    message.deleted ? 'true' : '',
+  ]);
+  // The byte order mark makes Excel read the file as UTF-8 instead of the system code page.
+  return `\uFEFF${[CSV_COLUMNS, ...rows].map((row) => row.map(escapeCsvField).join(',')).join('\r\n')}\r\n`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function createTimeFormatter(timeZone) {
+  const options = { dateStyle: 'medium', timeStyle: 'short' };
+  try {
+    return new Intl.DateTimeFormat('ja-JP', { ...options, timeZone: timeZone || 'UTC' });
+  } catch (error) {
+    return new Intl.DateTimeFormat('ja-JP', { ...options, timeZone: 'UTC' });
+  }
+}
+
+function renderHtmlMessage(message, formatTime) {
+  const avatar = message.icon
+    ? `<img class="avatar" src="${escapeHtml(message.icon)}" alt="">`
+    : `<span class="avatar">${escapeHtml(Array.from(message.user || '?')[0])}</span>`;
+  const parts = [];
+  if (message.replyTo) {
+    let preview = message.replyTo.text || (message.replyTo.location ? '位置情報' : '添付ファイル');
+    if (message.replyTo.deleted) {
+      preview = 'このメッセージは削除されました。';
+    }
+    parts.push(`<blockquote>${escapeHtml(message.replyTo.user)}: ${escapeHtml(preview)}</blockquote>`);
+  }
+  if (message.deleted) {
+    parts.push('<p class="deleted">このメッセージは削除されました。</p>');
+  } else {
+    if (message.text) {
+      parts.push(`<p>${escapeHtml(message.text)}</p>`);
+    }
+    if (message.location) {
+      parts.push(`<p><a href="${escapeHtml(getMapsUrl(message.location))}" target="_blank" rel="noopener">📍 地図で確認する</a></p>`);
+    }
+    const names = getAttachmentNames(message);
+    if (names.length > 0) {
+      parts.push(`<ul class="attachments">${names.map((name) => `<li>📎 ${escapeHtml(name)}</li>`).join('')}</ul>`);
+    }
+  }
+  const edited = message.editedAt && !message.deleted ? ' <span class="edited">(編集済み)</span>' : '';
+  return `<article class="message">${avatar}<div class="body"><header><strong>${escapeHtml(message.user)}</strong> <time datetime="${formatIsoTime(message.time)}">${escapeHtml(formatTime(message.time))}</time>${edited}</header>${parts.join('')}</div></article>`;
+}
+
+function toHtml(room, messages, { exportedAt = Date.now(), timeZone } = {}) {
+  const formatter = createTimeFormatter(timeZone);
+  const formatTime = (value) => formatter.format(new Date(value));
+  const body = messages.length > 0
+    ? messages.map((message) => renderHtmlMessage(message, formatTime)).join('\n')
+    : '<p>メッセージはありません。</p>';
+  return `<!DOCTYPE html>
+<html lang="ja">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(room)} のチャット履歴</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; color: #1f2933; }
+.message { display: flex; gap: 0.75rem; padding: 0.75rem 0; border-bottom: 1px solid #e4e7eb; }
+.avatar { flex: none; width: 2.5rem; height: 2.5rem; border-radius: 50%; object-fit: cover; background: #d9e2ec; display: inline-flex; align-items: center; justify-content: center; }
+.body { min-width: 0; }
+.body p { margin: 0.25rem 0; white-space: pre-wrap; overflow-wrap: anywhere; }
+time, .edited { color: #616e7c; font-size: 0.85rem; }
+blockquote { margin: 0.25rem 0; padding-left: 0.5rem; border-left: 3px solid #9fb3c8; color: #616e7c; }
+.deleted { font-style: italic; color: #616e7c; }
+.attachments { margin: 0.25rem 0; padding-left: 1rem; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(room)} のチャット履歴</h1>
+<p>${escapeHtml(formatTime(exportedAt))} にエクスポート・${messages.length}件</p>
+${body}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  createArchive,
+  toCsv,
+  toHtml,
+};
@@ -0,0 +1,271 @@
+/*
+ * Pluggable persistence layer for the chat server.
+ *
+ * The server keeps its working state in Maps and writes through to a store
+ * so rooms, history and moderation data survive restarts. A store exposes a
+ * small synchronous key/value API grouped by collection name:
+ *
+ *   get(collection, key)          -> value | undefined
+ *   set(collection, key, value)
+ *   delete(collection, key)
+ *   entries(collection)           -> Array<[key, value]>
+ *   flush()                       -> write pending changes immediately
+ *
+ * Two drivers are provided: an in-memory store (nothing is persisted) and a
+ * file store that keeps one JSON document per collection inside a data
+ * directory. Collections that grow large, such as message histories, can be
+ * partitioned instead: every key then gets its own document in a directory
+ * named after the collection, so a change only rewrites that key. The file
+ * store is the default, and the data directory can be copied as-is to take a
+ * backup.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const FILE_WRITE_DELAY_MS = 500;
+
+function createMemoryStore() {
+  const collections = new Map();
+
+  function getCollection(name) {
+    if (!collections.has(name)) {
+      collections.set(name, new Map());
+    }
+    return collections.get(name);
+  }
+
+  return {
+    driver: 'memory',
+    get(collection, key) {
+      return getCollection(collection).get(key);
+    },
+    set(collection, key, value) {
+      getCollection(collection).set(key, value);
+    },
+    delete(collection, key) {
+      getCollection(collection).delete(key);
+    },
+    entries(collection) {
+      return Array.from(getCollection(collection).entries());
+    },
+    flush() {},
+  };
+}
+
+function sanitizeCollectionName(name) {
+  const value = String(name || '').replace(/[^a-zA-Z0-9_-]/g, '');
+  if (!value) {
+    throw new Error(`Invalid collection name: ${name}`);
+  }
+  return value;
+}
+
+function createFileStore({ directory, partitioned = [], writeDelay = FILE_WRITE_DELAY_MS } = {}) {
+  if (!directory) {
+    throw new Error('A data directory is required for the file store.');
+  }
+  fs.mkdirSync(directory, { recursive: true });
+
+  const collections = new Map();
+  const partitionedCollections = new Set(partitioned);
+  // Whole collections waiting to be written, and the changed keys of partitioned ones
+  const dirty = new Set();
+  const dirtyKeys = new Map();
+  // Partitioned collections that were loaded from a single document written by older versions
+  const legacyDocuments = new Set();
+  let writeTimer = null;
+
+  function getFilePath(name) {
+    return path.join(directory, `${sanitizeCollectionName(name)}.json`);
+  }
+
+  function getPartitionDirectory(name) {
+    return path.join(directory, sanitizeCollectionName(name));
+  }
+
+  // Keys are room names and the like, so the file name is a hash and the key is kept inside the document.
+  function getPartitionPath(name, key) {
+    const hash = crypto.createHash('sha256').update(String(key)).digest('hex');
+    return path.join(getPartitionDirectory(name), `${hash}.json`);
+  }
+
+  function readDocument(filePath) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        return parsed;
+      }
+      console.warn('Ignoring malformed storage file', filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to read storage file', filePath, error);
+      }
+    }
+    return null;
+  }
+
+  function writeDocument(filePath, data) {
+    const tempPath = `${filePath}.tmp`;
+    // Write to a temporary file first so a crash never leaves a truncated document behind.
+    fs.writeFileSync(tempPath, JSON.stringify(data));
+    fs.renameSync(tempPath, filePath);
+  }
+
+  function readCollection(name) {
+    return new Map(Object.entries(readDocument(getFilePath(name)) || {}));
+  }
+
+  function readPartitionedCollection(name) {
+    const collection = new Map();
+    // A single document left by an older version is split up on the next flush and then removed.
+    if (fs.existsSync(getFilePath(name))) {
+      Object.entries(readDocument(getFilePath(name)) || {}).forEach(([key, value]) => {
+        collection.set(key, value);
+        markKeyDirty(name, key);
+      });
+      legacyDocuments.add(name);
+    }
+    let files = [];
+    try {
+      files = fs.readdirSync(getPartitionDirectory(name)).filter((file) => file.endsWith('.json'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to read storage directory', getPartitionDirectory(name), error);
+      }
+    }
+    files.forEach((file) => {
+      const document = readDocument(path.join(getPartitionDirectory(name), file));
+      if (document && typeof document.key === 'string') {
+        collection.set(document.key, document.value);
+      }
+    });
+    return collection;
+  }
+
+  function getCollection(name) {
+    if (!collections.has(name)) {
+      collections.set(name, partitionedCollections.has(name) ? readPartitionedCollection(name) : readCollection(name));
+    }
+    return collections.get(name);
+  }
+
+  function writeCollection(name) {
+    writeDocument(getFilePath(name), Object.fromEntries(getCollection(name)));
+  }
+
+  function writePartition(name, key) {
+    const collection = getCollection(name);
+    const filePath = getPartitionPath(name, key);
+    if (collection.has(key)) {
+      fs.mkdirSync(getPartitionDirectory(name), { recursive: true });
+      writeDocument(filePath, { key, value: collection.get(key) });
+      return;
+    }
+    try {
+      fs.unlinkSync(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  function flush() {
+    if (writeTimer) {
+      clearTimeout(writeTimer);
+      writeTimer = null;
+    }
+    Array.from(dirty).forEach((name) => {
+      try {
+        writeCollection(name);
+        dirty.delete(name);
+      } catch (error) {
+        console.error('Failed to write storage collection', name, error);
+      }
+    });
+    dirtyKeys.forEach((keys, name) => {
+      Array.from(keys).forEach((key) => {
+        try {
+          writePartition(name, key);
+          keys.delete(key);
+        } catch (error) {
+          console.error('Failed to write storage entry', name, key, error);
+        }
+      });
+      if (keys.size > 0) return;
+      dirtyKeys.delete(name);
+      if (legacyDocuments.delete(name)) {
+        fs.rmSync(getFilePath(name), { force: true });
+      }
+    });
+  }
+
+  function scheduleFlush() {
+    if (!writeTimer) {
+      writeTimer = setTimeout(flush, writeDelay);
+      if (typeof writeTimer.unref === 'function') {
+        writeTimer.unref();
+      }
+    }
+  }
+
+  function markDirty(name) {
+    dirty.add(name);
+    scheduleFlush();
+  }
+
+  function markKeyDirty(name, key) {
+    if (!dirtyKeys.has(name)) {
+      dirtyKeys.set(name, new Set());
+    }
+    dirtyKeys.get(name).add(key);
+    scheduleFlush();
+  }
+
+  function markChanged(name, key) {
+    if (partitionedCollections.has(name)) {
+      markKeyDirty(name, key);
+    } else {
+      markDirty(name);
+    }
+  }
+
+  return {
+    driver: 'file',
+    directory,
+    get(collection, key) {
+      return getCollection(collection).get(key);
+    },
+    set(collection, key, value) {
+      getCollection(collection).set(key, value);
+      markChanged(collection, key);
+    },
+    delete(collection, key) {
+      const target = getCollection(collection);
+      if (target.delete(key)) {
+        markChanged(collection, key);
+      }
+    },
+    entries(collection) {
+      return Array.from(getCollection(collection).entries());
+    },
+    flush,
+  };
+}
+
+function createStore({ driver = 'file', directory, partitioned } = {}) {
+  switch (driver) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      return createFileStore({ directory, partitioned });
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+module.exports = {
+  createStore,
+  createMemoryStore,
+  createFileStore,
+};
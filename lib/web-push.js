@@ -0,0 +1,152 @@
+/*
+ * Minimal Web Push sender built on Node's crypto module.
+ *
+ * Payloads are encrypted with the `aes128gcm` content encoding (RFC 8291)
+ * and requests are signed with a VAPID JWT (RFC 8292), which is what every
+ * browser push service accepts. Keys are P-256 key pairs encoded as
+ * base64url: the public key in uncompressed point form (65 bytes) and the
+ * private key as the raw 32-byte scalar, the same format browsers expect
+ * for `applicationServerKey`.
+ */
+
+const crypto = require('crypto');
+
+const CURVE = 'prime256v1';
+const RECORD_SIZE = 4096;
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+const JWT_TTL_SECONDS = 12 * 60 * 60;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// Push services of current browsers. Endpoints elsewhere are refused so that a subscription cannot
+// make the server post to an arbitrary (e.g. internal) address.
+const PUSH_SERVICE_HOSTS = ['fcm.googleapis.com', 'updates.push.services.mozilla.com', 'web.push.apple.com'];
+const PUSH_SERVICE_HOST_SUFFIXES = ['.notify.windows.com'];
+
+function isPushServiceHost(hostname) {
+  return PUSH_SERVICE_HOSTS.includes(hostname) || PUSH_SERVICE_HOST_SUFFIXES.some((suffix) => hostname.endsWith(suffix));
+}
+
+function generateVapidKeys() {
+  const ecdh = crypto.createECDH(CURVE);
+  ecdh.generateKeys();
+  // getPrivateKey() drops leading zero bytes, so about one key in 256 would come out shorter than 32 bytes.
+  const privateKey = ecdh.getPrivateKey();
+  return {
+    publicKey: ecdh.getPublicKey().toString('base64url'),
+    privateKey: Buffer.concat([Buffer.alloc(32 - privateKey.length), privateKey]).toString('base64url'),
+  };
+}
+
+function decodeKey(value, length, label) {
+  const buffer = typeof value === 'string' ? Buffer.from(value, 'base64url') : Buffer.alloc(0);
+  if (buffer.length !== length) {
+    throw new Error(`Invalid ${label}.`);
+  }
+  return buffer;
+}
+
+function isValidSubscription(subscription) {
+  if (!subscription || typeof subscription !== 'object' || !subscription.keys) return false;
+  try {
+    const endpoint = new URL(subscription.endpoint);
+    decodeKey(subscription.keys.p256dh, 65, 'p256dh key');
+    decodeKey(subscription.keys.auth, 16, 'auth secret');
+    return endpoint.protocol === 'https:' && endpoint.port === '' && isPushServiceHost(endpoint.hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+function hkdf(ikm, salt, info, length) {
+  return Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, length));
+}
+
+function encryptPayload(subscription, payload) {
+  const clientPublicKey = decodeKey(subscription.keys.p256dh, 65, 'p256dh key');
+  const authSecret = decodeKey(subscription.keys.auth, 16, 'auth secret');
+  const ecdh = crypto.createECDH(CURVE);
+  const serverPublicKey = ecdh.generateKeys();
+  const sharedSecret = ecdh.computeSecret(clientPublicKey);
+  const salt = crypto.randomBytes(16);
+
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), clientPublicKey, serverPublicKey]);
+  const ikm = hkdf(sharedSecret, authSecret, keyInfo, 32);
+  const contentKey = hkdf(ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+  const nonce = hkdf(ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+  // A single record: the plaintext followed by the 0x02 last-record delimiter.
+  const plaintext = Buffer.concat([Buffer.from(payload), Buffer.from([2])]);
+  if (plaintext.length + 16 > RECORD_SIZE) {
+    throw new Error('Push payload is too large.');
+  }
+  const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(serverPublicKey.length, 20);
+  return Buffer.concat([header, serverPublicKey, ciphertext]);
+}
+
+function createWebPush({ publicKey, privateKey, subject } = {}) {
+  const publicKeyBytes = decodeKey(publicKey, 65, 'VAPID public key');
+  const signingKey = crypto.createPrivateKey({
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      d: decodeKey(privateKey, 32, 'VAPID private key').toString('base64url'),
+      x: publicKeyBytes.subarray(1, 33).toString('base64url'),
+      y: publicKeyBytes.subarray(33).toString('base64url'),
+    },
+    format: 'jwk',
+  });
+  if (typeof subject !== 'string' || !/^(mailto:|https:)/.test(subject)) {
+    throw new Error('VAPID subject must be a mailto: or https: URL.');
+  }
+
+  function createVapidToken(audience) {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const unsigned = `${encode({ typ: 'JWT', alg: 'ES256' })}.${encode({
+      aud: audience,
+      exp: Math.floor(Date.now() / 1000) + JWT_TTL_SECONDS,
+      sub: subject,
+    })}`;
+    const signature = crypto.sign('sha256', Buffer.from(unsigned), { key: signingKey, dsaEncoding: 'ieee-p1363' });
+    return `${unsigned}.${signature.toString('base64url')}`;
+  }
+
+  // Resolves to the push service's status code; 404 and 410 mean the subscription is gone for good.
+  async function sendNotification(subscription, payload, { ttl = DEFAULT_TTL_SECONDS, urgency = 'normal' } = {}) {
+    if (!isValidSubscription(subscription)) {
+      throw new Error('Invalid push subscription.');
+    }
+    const endpoint = new URL(subscription.endpoint);
+    const headers = {
+      'Content-Type': 'application/octet-stream',
+      'Content-Encoding': 'aes128gcm',
+      TTL: String(ttl),
+      Urgency: urgency,
+      Authorization: `vapid t=${createVapidToken(endpoint.origin)}, k=${publicKey}`,
+    };
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers,
+      body: encryptPayload(subscription, typeof payload === 'string' ? payload : JSON.stringify(payload)),
+      // A redirect could lead away from the push service the endpoint was checked against.
+      redirect: 'error',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    return response.status;
+  }
+
+  return {
+    publicKey,
+    sendNotification,
+  };
+}
+
+module.exports = {
+  createWebPush,
+  generateVapidKeys,
+  isValidSubscription,
+};
@@ -0,0 +1,269 @@
+/*
+ * IndexedDB-backed cache of room messages shown in the transcript.
+ *
+ * Loaded as a classic script and attached to the global scope as
+ * `chatMessageCache`. Messages are stored one record per message, keyed by
+ * room and server-assigned ID and indexed by room and time, so appending or
+ * editing a message touches a single record and history pages can be read
+ * as time ranges. Each room keeps at most 500 messages (see `setRoomLimit`); when the browser
+ * reports the origin is running out of quota the oldest messages across all
+ * rooms are evicted first.
+ */
+
+(function (scope) {
+  const DB_NAME = 'chat-messages';
+  const DB_VERSION = 1;
+  const STORE_NAME = 'messages';
+  const DEFAULT_ROOM_LIMIT = 500;
+  // Share of the origin's quota above which old messages are evicted before writing more.
+  const QUOTA_HIGH_WATER = 0.9;
+  const QUOTA_CHECK_INTERVAL_MS = 60 * 1000;
+  const EVICTION_BATCH = 200;
+
+  let dbPromise = null;
+  let roomLimit = DEFAULT_ROOM_LIMIT;
+  let lastQuotaCheck = 0;
+
+  function openDatabase() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(STORE_NAME)) {
+            const store = db.createObjectStore(STORE_NAME, { keyPath: ['room', 'id'] });
+            store.createIndex('room-time', ['room', 'time']);
+            store.createIndex('time', 'time');
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      dbPromise.catch(() => {
+        dbPromise = null;
+      });
+    }
+    return dbPromise;
+  }
+
+  function runTransaction(mode, operation) {
+    return openDatabase().then(
+      (db) =>
+        new Promise((resolve, reject) => {
+          const transaction = db.transaction(STORE_NAME, mode);
+          let result;
+          try {
+            operation(transaction.objectStore(STORE_NAME), (value) => {
+              result = value;
+            });
+          } catch (error) {
+            transaction.abort();
+            reject(error);
+            return;
+          }
+          transaction.oncomplete = () => resolve(result);
+          transaction.onerror = () => reject(transaction.error);
+          transaction.onabort = () => reject(transaction.error);
+        })
+    );
+  }
+
+  function isQuotaError(error) {
+    return Boolean(error) && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+  }
+
+  function toRecord(room, message) {
+    if (!message || typeof message.id !== 'string' || !message.id) return null;
+    return { ...message, room, time: typeof message.time === 'number' ? message.time : 0 };
+  }
+
+  function fromRecord(record) {
+    const { room, ...message } = record;
+    return message;
+  }
+
+  // `after` and `before` are exclusive bounds on the message time, `since` is an inclusive lower bound.
+  function roomRange(room, { after, since, before } = {}) {
+    const lowerOpen = typeof after === 'number';
+    let lower = -Infinity;
+    if (lowerOpen) {
+      lower = after;
+    } else if (typeof since === 'number') {
+      lower = since;
+    }
+    const upper = typeof before === 'number' ? before : Infinity;
+    return IDBKeyRange.bound([room, lower], [room, upper], lowerOpen, typeof before === 'number');
+  }
+
+  // Delete up to `count` records in ascending time order from the given index range.
+  function deleteOldest(index, range, count, done) {
+    if (count <= 0) {
+      done(0);
+      return;
+    }
+    let removed = 0;
+    const cursorRequest = index.openCursor(range);
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor || removed >= count) {
+        done(removed);
+        return;
+      }
+      cursor.delete();
+      removed += 1;
+      cursor.continue();
+    };
+  }
+
+  function trimRoom(store, room) {
+    const index = store.index('room-time');
+    const countRequest = index.count(roomRange(room));
+    countRequest.onsuccess = () => {
+      deleteOldest(index, roomRange(room), countRequest.result - roomLimit, () => {});
+    };
+  }
+
+  function evictOldest(count = EVICTION_BATCH) {
+    return runTransaction('readwrite', (store, setResult) => {
+      deleteOldest(store.index('time'), null, count, setResult);
+    });
+  }
+
+  async function ensureQuota() {
+    const now = Date.now();
+    if (now - lastQuotaCheck < QUOTA_CHECK_INTERVAL_MS) return;
+    lastQuotaCheck = now;
+    if (!scope.navigator || !scope.navigator.storage || typeof scope.navigator.storage.estimate !== 'function') return;
+    try {
+      const { usage, quota } = await scope.navigator.storage.estimate();
+      if (quota > 0 && usage / quota > QUOTA_HIGH_WATER) {
+        await evictOldest();
+      }
+    } catch (error) {
+      console.warn('Failed to check storage quota:', error);
+    }
+  }
+
+  // Write records for a room, evicting the oldest cached messages and retrying once if the quota is exhausted.
+  async function writeRecords(room, messages) {
+    const records = (Array.isArray(messages) ? messages : []).map((message) => toRecord(room, message)).filter(Boolean);
+    if (!room || records.length === 0) return;
+    await ensureQuota();
+    const write = () =>
+      runTransaction('readwrite', (store) => {
+        records.forEach((record) => store.put(record));
+        trimRoom(store, room);
+      });
+    try {
+      await write();
+    } catch (error) {
+      if (!isQuotaError(error)) throw error;
+      await evictOldest(Math.max(EVICTION_BATCH, records.length));
+      await write();
+    }
+  }
+
+  function append(room, message) {
+    return writeRecords(room, [message]);
+  }
+
+  function putMany(room, messages) {
+    return writeRecords(room, messages);
+  }
+
+  // Replace a cached message only if it is already stored, so edits never resurrect evicted messages.
+  function update(room, message) {
+    const record = toRecord(room, message);
+    if (!record) return Promise.resolve(false);
+    return runTransaction('readwrite', (store, setResult) => {
+      const request = store.getKey([room, record.id]);
+      request.onsuccess = () => {
+        if (request.result === undefined) {
+          setResult(false);
+          return;
+        }
+        store.put(record);
+        setResult(true);
+      };
+    });
+  }
+
+  function getMany(room, ids) {
+    const wanted = Array.isArray(ids) ? ids.filter((id) => typeof id === 'string' && id) : [];
+    if (!room || wanted.length === 0) return Promise.resolve([]);
+    return runTransaction('readonly', (store, setResult) => {
+      const found = [];
+      let pending = wanted.length;
+      wanted.forEach((id) => {
+        const request = store.get([room, id]);
+        request.onsuccess = () => {
+          if (request.result) {
+            found.push(fromRecord(request.result));
+          }
+          pending -= 1;
+          if (pending === 0) {
+            setResult(found);
+          }
+        };
+      });
+    });
+  }
+
+  // Read messages in a room ordered by time. With `limit`, the newest matching messages are returned.
+  function listRange(room, { after, since, before, limit } = {}) {
+    if (!room) return Promise.resolve([]);
+    return runTransaction('readonly', (store, setResult) => {
+      const results = [];
+      const max = typeof limit === 'number' && limit > 0 ? limit : Infinity;
+      const cursorRequest = store.index('room-time').openCursor(roomRange(room, { after, since, before }), 'prev');
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor || results.length >= max) {
+          setResult(results.reverse().map(fromRecord));
+          return;
+        }
+        results.push(cursor.value);
+        cursor.continue();
+      };
+    });
+  }
+
+  function prune(room, { ids, before } = {}) {
+    if (!room) return Promise.resolve();
+    return runTransaction('readwrite', (store) => {
+      (Array.isArray(ids) ? ids : []).forEach((id) => {
+        if (typeof id === 'string' && id) {
+          store.delete([room, id]);
+        }
+      });
+      if (typeof before === 'number') {
+        deleteOldest(store.index('room-time'), roomRange(room, { before }), Infinity, () => {});
+      }
+    });
+  }
+
+  function clear(room) {
+    if (!room) return Promise.resolve();
+    return runTransaction('readwrite', (store) => {
+      deleteOldest(store.index('room-time'), roomRange(room), Infinity, () => {});
+    });
+  }
+
+  function setRoomLimit(limit) {
+    if (Number.isInteger(limit) && limit > 0) {
+      roomLimit = limit;
+    }
+  }
+
+  scope.chatMessageCache = {
+    append,
+    putMany,
+    update,
+    getMany,
+    listRange,
+    prune,
+    clear,
+    evictOldest,
+    setRoomLimit,
+  };
+})(self);
@@ -0,0 +1,150 @@
+/*
+ * IndexedDB-backed outbox for chat messages that have not reached the server yet.
+ *
+ * Loaded as a classic script by both the page and the service worker, so it
+ * only attaches a `chatOutbox` object to the global scope. The page queues
+ * every outgoing text message here before emitting it and removes it once the
+ * server acknowledges it; whatever is still pending when the page goes away
+ * is delivered by the service worker through Background Sync.
+ *
+ * Entry shape:
+ *   { clientId, room, text, replyTo, replyPreview, user, memberId, icon,
+ *     createdAt, status: 'pending' | 'failed', error, sessionToken, roomPass }
+ */
+
+(function (scope) {
+  const DB_NAME = 'chat-outbox';
+  const DB_VERSION = 1;
+  const STORE_NAME = 'messages';
+  const SYNC_TAG = 'chat-outbox';
+
+  let dbPromise = null;
+
+  function openDatabase() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(STORE_NAME)) {
+            const store = db.createObjectStore(STORE_NAME, { keyPath: 'clientId' });
+            store.createIndex('room', 'room');
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      dbPromise.catch(() => {
+        dbPromise = null;
+      });
+    }
+    return dbPromise;
+  }
+
+  function runTransaction(mode, operation) {
+    return openDatabase().then(
+      (db) =>
+        new Promise((resolve, reject) => {
+          const transaction = db.transaction(STORE_NAME, mode);
+          const request = operation(transaction.objectStore(STORE_NAME));
+          transaction.oncomplete = () => resolve(request ? request.result : undefined);
+          transaction.onerror = () => reject(transaction.error);
+          transaction.onabort = () => reject(transaction.error);
+        })
+    );
+  }
+
+  function byCreatedAt(entries) {
+    return (entries || []).sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+  }
+
+  function put(entry) {
+    return runTransaction('readwrite', (store) => store.put(entry));
+  }
+
+  function get(clientId) {
+    return runTransaction('readonly', (store) => store.get(clientId));
+  }
+
+  function update(clientId, changes) {
+    return runTransaction('readwrite', (store) => {
+      const request = store.get(clientId);
+      request.onsuccess = () => {
+        if (request.result) {
+          store.put({ ...request.result, ...changes });
+        }
+      };
+      return request;
+    });
+  }
+
+  function remove(clientId) {
+    return runTransaction('readwrite', (store) => store.delete(clientId));
+  }
+
+  function listByRoom(room) {
+    return runTransaction('readonly', (store) => store.index('room').getAll(room)).then(byCreatedAt);
+  }
+
+  function listAll() {
+    return runTransaction('readonly', (store) => store.getAll()).then(byCreatedAt);
+  }
+
+  // Post pending entries over HTTP. Rejects while anything is left to retry so Background Sync tries again later.
+  async function deliverPending() {
+    const entries = (await listAll()).filter((entry) => entry.status === 'pending');
+    let retryNeeded = false;
+    for (const entry of entries) {
+      let response;
+      try {
+        response = await fetch(`/api/rooms/${encodeURIComponent(entry.room)}/messages`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'x-session-token': entry.sessionToken || '',
+            'x-room-pass': entry.roomPass || '',
+          },
+          body: JSON.stringify({ clientId: entry.clientId, text: entry.text, replyTo: entry.replyTo || null }),
+        });
+      } catch (error) {
+        retryNeeded = true;
+        continue;
+      }
+      if (response.ok) {
+        await remove(entry.clientId);
+      } else if (response.status >= 500 || response.status === 429) {
+        retryNeeded = true;
+      } else {
+        const data = await response.json().catch(() => ({}));
+        await update(entry.clientId, { status: 'failed', error: data.error || 'メッセージを送信できませんでした。' });
+      }
+    }
+    if (retryNeeded) {
+      throw new Error('Some queued messages could not be delivered yet.');
+    }
+  }
+
+  function requestBackgroundSync() {
+    if (!scope.navigator || !scope.navigator.serviceWorker) {
+      return Promise.resolve(false);
+    }
+    return scope.navigator.serviceWorker.ready
+      .then((registration) => {
+        if (!registration.sync) return false;
+        return registration.sync.register(SYNC_TAG).then(() => true);
+      })
+      .catch(() => false);
+  }
+
+  scope.chatOutbox = {
+    SYNC_TAG,
+    put,
+    get,
+    update,
+    remove,
+    listByRoom,
+    listAll,
+    deliverPending,
+    requestBackgroundSync,
+  };
+})(self);
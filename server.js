@@ -12,8 +12,15 @@ const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
 const crypto = require('crypto');
-const net = require('net');
-
+const path = require('path');
+const { createStore } = require('./lib/storage');
+const { createAttachmentStore } = require('./lib/attachments');
+const { hashPassword, isPasswordHash, verifyPassword } = require('./lib/passwords');
+const { createWebPush, generateVapidKeys, isValidSubscription } = require('./lib/web-push');
+const { ARCHIVE_FORMAT, ARCHIVE_VERSION, createArchive, toCsv, toHtml } = require('./lib/room-archive');
+const { createIpBlocklist, parseIpRule } = require('./lib/ip-blocklist');
+const { createClientIpResolver, normalizeIp } = require('./lib/client-ip');
+const { createLoginThrottle, createRateLimiter, parseRateLimits } = require('./lib/rate-limit');
 
 const app = express();
 const server = http.createServer(app);
@@ -26,11 +33,46 @@ function safeRandomUUID() {
   return crypto.randomBytes(16).toString('hex');
 }
 
+// A history import carries a whole room (icons included), far beyond the default body limit,
+// so it gets its own parser; the admin check runs first so nobody else can make us parse that much.
+app.use('/api/admin/rooms/:name/import', authenticateAdmin, express.json({ limit: '64mb' }));
 app.use(express.json());
-// Serve static assets from the public directory
-app.use(express.static(__dirname));
+// The server-wide blocklist covers every API route except the admin panel, so a mistaken entry can still be lifted.
+app.use('/api', (req, res, next) => {
+  if (req.path.startsWith('/admin/') || !globalBlockedIps.has(getRequestIp(req))) {
+    return next();
+  }
+  return res.status(403).json({ ok: false, error: IP_BLOCKED_ERROR });
+});
+app.use('/api', limitRequests('api'));
+// Serve only the client files: the project root also holds the server code and, by default, DATA_DIR
+const PUBLIC_ROOT_FILES = ['index.html', 'app.js', 'service-worker.js', 'manifest.json', 'icon-192.png', 'icon-512.png'];
+app.use('/public', express.static(path.join(__dirname, 'public')));
+app.use('/src', express.static(path.join(__dirname, 'src')));
+app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'index.html')));
+PUBLIC_ROOT_FILES.forEach((file) => {
+  app.get(`/${file}`, (req, res) => res.sendFile(path.join(__dirname, file)));
+});
 
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || '0623';
+const ADMIN_PASSWORD_HASH = resolveAdminPasswordHash();
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+// Reverse proxies whose forwarding header is believed, e.g. `loopback` behind Nginx. Only the header
+// named by TRUSTED_PROXY_HEADER is read, since a proxy passes the other one through from the client.
+const clientIps = createClientIpResolver({
+  trustedProxies: (process.env.TRUSTED_PROXIES || '').split(',').map((value) => value.trim()).filter(Boolean),
+  header: process.env.TRUSTED_PROXY_HEADER || 'x-forwarded-for',
+});
+// Persistent backing store for rooms, history and blocked IPs. Histories are written one room
+// or conversation at a time, so a new message does not rewrite every other room's history.
+const store = createStore({
+  driver: process.env.STORAGE_DRIVER || 'file',
+  directory: DATA_DIR,
+  partitioned: ['messages', 'directMessages'],
+});
+// Uploaded attachment blobs live on local disk next to the store
+const attachmentFiles = createAttachmentStore({ directory: path.join(DATA_DIR, 'attachments') });
+// Signs and encrypts Web Push notifications for members whose app is closed
+const webPush = createWebPush(resolveVapidKeys());
 // Public room directory (name -> meta)
 const roomDirectory = new Map();
 // Map of room names to array of socket IDs; used for group chat and voice calls
@@ -45,21 +87,353 @@ const userProfiles = new Map();
 const callParticipants = new Map();
 // Track all room members so the client can display a roster
 const roomMembers = new Map();
-// Track blocked IP addresses per room
+// Track blocked IP addresses and ranges per room
 const roomBlockedIps = new Map();
+// Addresses and ranges that cannot connect to the server at all
+const globalBlockedIps = createIpBlocklist(store.get('settings', 'blockedIps'));
+// Direct message history per room member pair (channel key -> messages)
+const directMessages = new Map();
+// Attachment metadata (attachment ID -> info)
+const attachments = new Map();
+// Upload tokens handed out on join (token -> socket ID)
+const uploadTokens = new Map();
+// accountId -> { id, username, displayName, passwordHash, icon, createdAt }
+const accounts = new Map();
+// lower-cased username -> accountId
+const accountIdsByUsername = new Map();
+// sha256(session token) -> { accountId, createdAt, expiresAt }
+const accountSessions = new Map();
+// resume token -> { socketId, room, accountId }
+const resumeSessions = new Map();
+// socketId -> { socket, timer, disconnectedAt } for members inside the reconnection grace window
+const disconnectedMembers = new Map();
+// room pass -> { accountId, room, user, expiresAt }; lets a member's service worker post queued messages
+const roomPasses = new Map();
+// Web Push subscriptions (digest of endpoint -> { accountId, sessionKey, endpoint, keys, rooms })
+const pushSubscriptions = new Map();
+// Last message each member has read (room -> Map(memberId -> { messageId, time }))
+const readPositions = new Map();
 
 const MAX_MESSAGES_PER_ROOM = 500;
+const MAX_DIRECT_MESSAGES_PER_CHANNEL = 200;
+const HISTORY_PAGE_SIZE = 50;
+const MAX_HISTORY_PAGE_SIZE = 100;
+const SEARCH_PAGE_SIZE = 30;
+const MAX_SEARCH_TERMS = 10;
+const SEARCH_FILTERS = ['location', 'attachment'];
+const RETENTION_MODES = ['forever', 'days', 'count', 'ephemeral'];
+const MAX_RETENTION_DAYS = 365;
+const RETENTION_SWEEP_INTERVAL_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+const MAX_THUMBNAIL_BYTES = 256 * 1024;
+const MAX_ATTACHMENTS_PER_MESSAGE = 4;
+const MAX_ATTACHMENT_NAME_LENGTH = 200;
+const UNATTACHED_UPLOAD_TTL_MS = 60 * 60 * 1000;
+const ATTACHMENT_ACCESS_COOKIE = 'attachment_access';
+// `count` events per `windowMs`. Socket events are limited per socket, except the ones in
+// IP_RATE_LIMITED_EVENTS; `api`, `login` and `register` apply to HTTP requests per client IP, and
+// `message` also covers messages posted over HTTP by the offline outbox, per account.
+const DEFAULT_RATE_LIMITS = {
+  message: { count: 10, windowMs: 10 * 1000 },
+  'message-edit': { count: 10, windowMs: 10 * 1000 },
+  'message-delete': { count: 10, windowMs: 10 * 1000 },
+  'direct-message': { count: 10, windowMs: 10 * 1000 },
+  react: { count: 20, windowMs: 10 * 1000 },
+  typing: { count: 10, windowMs: 10 * 1000 },
+  read: { count: 10, windowMs: 10 * 1000 },
+  history: { count: 10, windowMs: 10 * 1000 },
+  'direct-history': { count: 10, windowMs: 10 * 1000 },
+  // Call setup exchanges an offer, an answer and a burst of ICE candidates with every peer.
+  webrtc: { count: 200, windowMs: 10 * 1000 },
+  'profile-update': { count: 10, windowMs: 60 * 1000 },
+  'call-participation': { count: 10, windowMs: 60 * 1000 },
+  resume: { count: 10, windowMs: 60 * 1000 },
+  'leave-room': { count: 10, windowMs: 60 * 1000 },
+  'set-room-role': { count: 10, windowMs: 60 * 1000 },
+  'kick-member': { count: 10, windowMs: 60 * 1000 },
+  'mute-member': { count: 10, windowMs: 60 * 1000 },
+  join: { count: 10, windowMs: 60 * 1000 },
+  'create-room': { count: 3, windowMs: 60 * 1000 },
+  api: { count: 600, windowMs: 60 * 1000 },
+  login: { count: 10, windowMs: 60 * 1000 },
+  register: { count: 5, windowMs: 60 * 60 * 1000 },
+};
+// Events that guess passwords or create rooms must not get a fresh bucket with every new connection.
+const IP_RATE_LIMITED_EVENTS = new Set(['join', 'create-room']);
+const ALLOWED_ATTACHMENT_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'application/zip',
+];
+const THUMBNAIL_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+const VOICE_MESSAGE_TYPES = ['audio/webm', 'audio/ogg', 'audio/mp4', 'audio/mpeg'];
+// Browsers stop recording at two minutes; longer reported durations are clamped for display.
+const MAX_VOICE_DURATION_MS = 2 * 60 * 1000;
+// Roughly two minutes of Opus at 128 kbps; the size cap is what actually bounds a recording.
+const MAX_VOICE_BYTES = 2 * 1024 * 1024;
 const MAX_MEMBERS_PER_ROOM = 5;
 const MAX_CALL_PARTICIPANTS = 5;
 const MAX_ICON_DATA_URL_LENGTH = 120000; // ~120 KB upper bound for profile icons
+const REPLY_PREVIEW_LENGTH = 120;
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const MIN_ACCOUNT_PASSWORD_LENGTH = 8;
+const MAX_DISPLAY_NAME_LENGTH = 32;
+const ACCOUNT_SESSION_TTL_MS = 30 * DAY_MS;
+const RECONNECT_GRACE_MS = 30 * 1000;
+const ROOM_PASS_TTL_MS = DAY_MS;
+const CLIENT_ID_PATTERN = /^[a-zA-Z0-9-]{8,64}$/;
+// Server-assigned message IDs: UUIDs, or hex strings where crypto.randomUUID is unavailable.
+const MESSAGE_ID_PATTERN = /^[a-zA-Z0-9-]{8,64}$/;
+const PUSH_PREVIEW_LENGTH = 140;
+const NOTIFICATION_MODES = ['all', 'mentions', 'muted'];
+// Ordered by rank: a member can only moderate members ranked below them.
+const ROOM_ROLES = ['member', 'moderator', 'owner'];
+const MAX_ROOM_MUTE_MS = 7 * DAY_MS;
+const MUTED_ERROR = 'ミュートされているため、メッセージを送信できません。';
+const MAX_ROOM_BAN_MS = 365 * DAY_MS;
+const MAX_IP_BLOCK_MS = 365 * DAY_MS;
+const IP_BLOCKED_ERROR = 'このIPアドレスからの接続はブロックされています。';
+const MAX_MUTE_DURATION_MS = 365 * DAY_MS;
+// An ASCII word character right before `@` (as in an e-mail address) or right after a name means no
+// mention. Other scripts are not checked because Japanese text runs names straight into the sentence.
+const MENTION_WORD_CHAR = /[A-Za-z0-9_]/;
+const PUSH_TTL_SECONDS = DAY_MS / 1000;
+// Compared against when a login names an unknown account so both paths take the same time.
+const UNKNOWN_ACCOUNT_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+const ALLOWED_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🙏'];
 const DEFAULT_ROOMS = [
   { name: 'global', password: 'global' },
 ];
 
+// Token buckets for socket events and API requests, configurable through RATE_LIMITS
+const rateLimiter = createRateLimiter(parseRateLimits(process.env.RATE_LIMITS, DEFAULT_RATE_LIMITS));
+// Failed logins per client IP lock further attempts for exponentially longer periods
+const loginThrottleOptions = {
+  maxAttempts: Number(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+  maxLockoutMs: (Number(process.env.LOGIN_MAX_LOCKOUT_SECONDS) || 15 * 60) * 1000,
+};
+const adminLoginThrottle = createLoginThrottle(loginThrottleOptions);
+const accountLoginThrottle = createLoginThrottle(loginThrottleOptions);
+
+function resolveAdminPasswordHash() {
+  if (isPasswordHash(process.env.ADMIN_PASSWORD_HASH)) {
+    return process.env.ADMIN_PASSWORD_HASH;
+  }
+  if (process.env.ADMIN_PASSWORD) {
+    return hashPassword(process.env.ADMIN_PASSWORD);
+  }
+  // Never fall back to a well-known password; generate one for this process instead.
+  const generated = crypto.randomBytes(12).toString('base64url');
+  console.warn(`ADMIN_PASSWORD is not set. Generated a one-time admin password: ${generated}`);
+  return hashPassword(generated);
+}
+
+// Keys come from the environment or are generated once and kept in the store, since rotating
+// them would invalidate every existing browser subscription.
+function resolveVapidKeys() {
+  const subject = process.env.VAPID_SUBJECT || 'mailto:admin@example.com';
+  if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+    return { publicKey: process.env.VAPID_PUBLIC_KEY, privateKey: process.env.VAPID_PRIVATE_KEY, subject };
+  }
+  let keys = store.get('settings', 'vapidKeys');
+  if (!keys || typeof keys.publicKey !== 'string' || typeof keys.privateKey !== 'string') {
+    keys = generateVapidKeys();
+    store.set('settings', 'vapidKeys', keys);
+  }
+  return { ...keys, subject };
+}
+
+function persistRoom(name) {
+  const info = roomDirectory.get(name);
+  if (info) {
+    store.set('rooms', name, info);
+  }
+}
+
+function persistMessages(room) {
+  // Ephemeral rooms only ever keep their history in memory.
+  if (roomDirectory.get(room)?.retention?.mode === 'ephemeral') {
+    store.delete('messages', room);
+    return;
+  }
+  store.set('messages', room, roomMessages.get(room) || []);
+}
+
+function persistReadPositions(room) {
+  const positions = readPositions.get(room);
+  if (!positions || positions.size === 0 || roomDirectory.get(room)?.retention?.mode === 'ephemeral') {
+    store.delete('readPositions', room);
+    return;
+  }
+  store.set('readPositions', room, Object.fromEntries(positions));
+}
+
+function persistDirectMessages(key) {
+  const messages = directMessages.get(key);
+  if (!messages || messages.length === 0) {
+    store.delete('directMessages', key);
+    return;
+  }
+  store.set('directMessages', key, messages);
+}
+
+function persistAttachment(id) {
+  const info = attachments.get(id);
+  if (info) {
+    store.set('attachments', id, info);
+  }
+}
+
+function persistBlockedIps(room) {
+  store.set('blockedIps', room, roomBlockedIps.get(room)?.list() || []);
+}
+
+function persistGlobalBlockedIps() {
+  store.set('settings', 'blockedIps', globalBlockedIps.list());
+}
+
+function persistAccount(id) {
+  const account = accounts.get(id);
+  if (account) {
+    store.set('accounts', id, account);
+  }
+}
+
+function persistAccountSession(key) {
+  const session = accountSessions.get(key);
+  if (session) {
+    store.set('sessions', key, session);
+  } else {
+    store.delete('sessions', key);
+  }
+}
+
+function persistPushSubscription(key) {
+  const subscription = pushSubscriptions.get(key);
+  if (subscription) {
+    store.set('pushSubscriptions', key, subscription);
+  } else {
+    store.delete('pushSubscriptions', key);
+  }
+}
+
+function loadPersistedState() {
+  store.entries('rooms').forEach(([name, info]) => {
+    if (!name || !info || typeof info !== 'object') return;
+    const hasHash = isPasswordHash(info.passwordHash);
+    roomDirectory.set(name, {
+      // Rooms saved before passwords were hashed still carry a plaintext `password` field.
+      passwordHash: hasHash ? info.passwordHash : hashPassword(typeof info.password === 'string' ? info.password : ''),
+      createdAt: typeof info.createdAt === 'number' ? info.createdAt : Date.now(),
+      retention: sanitizeRetention(info.retention),
+      roles: sanitizeRoomRoles(info.roles),
+      mutes: pruneExpired(info.mutes),
+      bans: pruneExpired(info.bans),
+    });
+    if (!hasHash) {
+      persistRoom(name);
+    }
+  });
+  store.entries('messages').forEach(([name, messages]) => {
+    if (roomDirectory.has(name) && Array.isArray(messages)) {
+      roomMessages.set(name, messages.slice(-MAX_MESSAGES_PER_ROOM));
+    }
+  });
+  store.entries('blockedIps').forEach(([name, ips]) => {
+    if (roomDirectory.has(name) && Array.isArray(ips)) {
+      roomBlockedIps.set(name, createIpBlocklist(ips));
+    }
+  });
+
+  store.entries('readPositions').forEach(([name, positions]) => {
+    if (!roomDirectory.has(name) || !positions || typeof positions !== 'object') return;
+    const entries = Object.entries(positions).filter(
+      ([, position]) => position && typeof position.messageId === 'string' && typeof position.time === 'number'
+    );
+    readPositions.set(name, new Map(entries));
+  });
+  store.entries('directMessages').forEach(([key, messages]) => {
+    if (roomDirectory.has(getDirectChannelRoom(key)) && Array.isArray(messages)) {
+      directMessages.set(key, messages.slice(-MAX_DIRECT_MESSAGES_PER_CHANNEL));
+    }
+  });
+  store.entries('attachments').forEach(([id, info]) => {
+    if (info && typeof info === 'object' && roomDirectory.has(info.room)) {
+      attachments.set(id, info);
+    }
+  });
+  store.entries('accounts').forEach(([id, account]) => {
+    if (!account || typeof account !== 'object' || !isPasswordHash(account.passwordHash)) return;
+    if (typeof account.username !== 'string' || !USERNAME_PATTERN.test(account.username)) return;
+    accounts.set(id, { ...account, id });
+    accountIdsByUsername.set(account.username.toLowerCase(), id);
+  });
+  const now = Date.now();
+  store.entries('sessions').forEach(([key, session]) => {
+    if (session && accounts.has(session.accountId) && session.expiresAt > now) {
+      accountSessions.set(key, session);
+    } else {
+      store.delete('sessions', key);
+    }
+  });
+  store.entries('pushSubscriptions').forEach(([key, subscription]) => {
+    if (subscription && accountSessions.has(subscription.sessionKey) && isValidSubscription(subscription)) {
+      const rooms = Array.isArray(subscription.rooms) ? subscription.rooms.filter((room) => roomDirectory.has(room)) : [];
+      pushSubscriptions.set(key, { ...subscription, rooms });
+    } else {
+      store.delete('pushSubscriptions', key);
+    }
+  });
+  roomDirectory.forEach((info, name) => {
+    ensureRoom(name);
+  });
+}
+
+function sanitizeRetention(value) {
+  if (!value || typeof value !== 'object' || !RETENTION_MODES.includes(value.mode)) {
+    return { mode: 'forever' };
+  }
+  if (value.mode === 'days' || value.mode === 'count') {
+    const max = value.mode === 'days' ? MAX_RETENTION_DAYS : MAX_MESSAGES_PER_ROOM;
+    const amount = Number(value.value);
+    if (!Number.isInteger(amount) || amount < 1 || amount > max) {
+      return null;
+    }
+    return { mode: value.mode, value: amount };
+  }
+  return { mode: value.mode };
+}
+
+function parseRetention(value) {
+  if (value === undefined || value === null) {
+    return { mode: 'forever' };
+  }
+  const retention = sanitizeRetention(value);
+  if (!retention || (value.mode && retention.mode !== value.mode)) {
+    throw new Error('履歴の保存期間の指定が正しくありません。');
+  }
+  return retention;
+}
+
 function sanitizeRoomName(name) {
   return typeof name === 'string' ? name.trim() : '';
 }
 
+// Socket payloads arrive as the client sent them; a default parameter does not cover `null` or a primitive.
+function toPayload(value) {
+  return value && typeof value === 'object' ? value : {};
+}
+
+// The browser trims password fields, so creating, resetting and joining all compare the trimmed value.
+function normalizeRoomPassword(password) {
+  return typeof password === 'string' ? password.trim() : '';
+}
+
 function ensureRoom(name) {
   if (!roomDirectory.has(name)) {
     return false;
@@ -74,7 +448,7 @@ function ensureRoom(name) {
     roomMessages.set(name, []);
   }
   if (!roomBlockedIps.has(name)) {
-    roomBlockedIps.set(name, new Set());
+    roomBlockedIps.set(name, createIpBlocklist());
   }
   return true;
 }
@@ -100,259 +474,1921 @@ function sanitizeIconDataUrl(value) {
   return trimmed;
 }
 
-function getAdminRooms() {
-  return Array.from(roomDirectory.entries()).map(([name, info]) => ({
-    name,
-    password: info.password,
-    createdAt: info.createdAt,
-    blockedIps: Array.from(roomBlockedIps.get(name) || []),
-  }));
+function sanitizeDisplayName(value) {
+  const name = typeof value === 'string' ? value.trim() : '';
+  if (!name) {
+    throw new Error('表示名を入力してください。');
+  }
+  if (name.length > MAX_DISPLAY_NAME_LENGTH) {
+    throw new Error(`表示名は${MAX_DISPLAY_NAME_LENGTH}文字以内で入力してください。`);
+  }
+  return name;
 }
 
-function broadcastRooms() {
-  io.emit('rooms-update', getPublicRooms());
+function toPublicAccount(account) {
+  return {
+    id: account.id,
+    username: account.username,
+    displayName: account.displayName,
+    icon: account.icon ?? null,
+    notifications: account.notifications || {},
+  };
 }
 
-function normalizeIp(ip) {
-  if (typeof ip !== 'string') {
-    return '';
-  }
-  let value = ip.trim();
-  if (!value) {
-    return '';
+function findAccountByUsername(username) {
+  if (typeof username !== 'string') return null;
+  const id = accountIdsByUsername.get(username.trim().toLowerCase());
+  return id ? accounts.get(id) || null : null;
+}
+
+function registerAccount({ username, password, displayName } = {}) {
+  const name = typeof username === 'string' ? username.trim() : '';
+  if (!USERNAME_PATTERN.test(name)) {
+    throw new Error('ユーザーIDは3〜32文字の英数字と _ . - で入力してください。');
   }
-  if (value.startsWith('::ffff:')) {
-    value = value.slice(7);
+  if (accountIdsByUsername.has(name.toLowerCase())) {
+    throw new Error('このユーザーIDは既に使われています。');
   }
-  if (value === '::1') {
-    return '127.0.0.1';
+  if (typeof password !== 'string' || password.length < MIN_ACCOUNT_PASSWORD_LENGTH) {
+    throw new Error(`パスワードは${MIN_ACCOUNT_PASSWORD_LENGTH}文字以上にしてください。`);
   }
-  return value;
+  const account = {
+    id: safeRandomUUID(),
+    username: name,
+    displayName: sanitizeDisplayName(displayName === undefined || displayName === '' ? name : displayName),
+    passwordHash: hashPassword(password),
+    icon: null,
+    createdAt: Date.now(),
+  };
+  accounts.set(account.id, account);
+  accountIdsByUsername.set(name.toLowerCase(), account.id);
+  persistAccount(account.id);
+  return account;
 }
 
-function getClientIp(socket) {
-  if (!socket) return '';
-  const address = socket.handshake?.address || socket.conn?.remoteAddress || '';
-  return normalizeIp(address);
+function updateAccountProfile(id, updates) {
+  const account = accounts.get(id);
+  if (!account) return null;
+  const next = { ...account };
+  if (Object.prototype.hasOwnProperty.call(updates, 'user')) {
+    next.displayName = updates.user;
+  }
+  if (Object.prototype.hasOwnProperty.call(updates, 'icon')) {
+    next.icon = updates.icon ?? null;
+  }
+  accounts.set(id, next);
+  persistAccount(id);
+  return next;
 }
 
-function removeSocketFromRoom(socket, room, { notifyOthers = true } = {}) {
-  const roomName = sanitizeRoomName(room);
-  if (!roomName) return false;
-  const sockets = roomSockets.get(roomName);
-  let wasMember = false;
-  if (sockets && sockets.has(socket.id)) {
-    sockets.delete(socket.id);
-    wasMember = true;
-  }
-  socket.leave(roomName);
-  const profile = userProfiles.get(socket.id);
-  const displayName = profile?.user || socket.id;
-  if (notifyOthers && wasMember) {
-    socket.to(roomName).emit('system', `${displayName} left ${roomName}`);
+function sanitizeNotificationPreference(value) {
+  const preference = value && typeof value === 'object' ? value : {};
+  if (!NOTIFICATION_MODES.includes(preference.mode)) {
+    throw new Error('通知設定の指定が正しくありません。');
   }
-  const participants = callParticipants.get(roomName);
-  if (participants && participants.has(socket.id)) {
-    participants.delete(socket.id);
-    if (participants.size === 0) {
-      callParticipants.delete(roomName);
-    } else {
-      callParticipants.set(roomName, participants);
+  let muteUntil = null;
+  if (preference.muteUntil !== undefined && preference.muteUntil !== null) {
+    const now = Date.now();
+    muteUntil = Number(preference.muteUntil);
+    if (!Number.isFinite(muteUntil) || muteUntil <= now || muteUntil > now + MAX_MUTE_DURATION_MS) {
+      throw new Error('ミュートの終了時刻が正しくありません。');
     }
-    broadcastParticipants(roomName);
-  }
-  const members = roomMembers.get(roomName);
-  if (members && members.has(socket.id)) {
-    members.delete(socket.id);
-    emitRoomUsers(roomName);
   }
-  if (profile) {
-    userProfiles.set(socket.id, { ...profile, room: null });
-  }
-  return wasMember;
+  return { mode: preference.mode, muteUntil };
 }
 
-function createRoom(name, password) {
-  const roomName = sanitizeRoomName(name);
-  if (!roomName) {
-    throw new Error('Room name is required.');
-  }
-  if (roomDirectory.has(roomName)) {
-    throw new Error('Room already exists.');
+// Rooms without an entry notify for every message, so the default is never stored.
+function setNotificationPreference(accountId, room, preference) {
+  const account = accounts.get(accountId);
+  if (!account) return null;
+  const notifications = { ...(account.notifications || {}) };
+  if (preference && (preference.mode !== 'all' || preference.muteUntil)) {
+    notifications[room] = preference;
+  } else {
+    delete notifications[room];
   }
-  roomDirectory.set(roomName, {
-    password: typeof password === 'string' ? password : '',
-    createdAt: Date.now(),
+  const next = { ...account, notifications };
+  accounts.set(accountId, next);
+  persistAccount(accountId);
+  return next;
+}
+
+function forgetNotificationPreferences(room) {
+  accounts.forEach((account, id) => {
+    if (account.notifications && account.notifications[room]) {
+      setNotificationPreference(id, room, null);
+    }
   });
-  ensureRoom(roomName);
-  broadcastRooms();
-  return roomName;
 }
 
-function deleteRoom(name) {
-  const roomName = sanitizeRoomName(name);
-  if (!roomDirectory.has(roomName)) {
-    throw new Error('Room not found.');
+function shouldNotifyMember(accountId, room, message, now = Date.now()) {
+  const preference = accounts.get(accountId)?.notifications?.[room];
+  if (!preference) return true;
+  if (preference.muteUntil && preference.muteUntil > now) return false;
+  if (preference.mode === 'muted') return false;
+  if (preference.mode === 'mentions') {
+    return Array.isArray(message.mentions) && message.mentions.some((mention) => mention.memberId === accountId);
   }
+  return true;
+}
 
-  const sockets = roomSockets.get(roomName);
-  if (sockets) {
-    sockets.forEach((socketId) => {
-      const client = io.sockets.sockets.get(socketId);
-      if (client) {
-        removeSocketFromRoom(client, roomName, { notifyOthers: false });
-        client.emit('room-deleted', { room: roomName });
-      }
-    });
-    roomSockets.delete(roomName);
-  }
+function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
 
-  roomDirectory.delete(roomName);
-  roomMessages.delete(roomName);
-  roomMembers.delete(roomName);
-  callParticipants.delete(roomName);
-  roomBlockedIps.delete(roomName);
-  broadcastRooms();
+// Only a digest of each token is kept so a copied data directory cannot be used to log in.
+function createAccountSession(accountId) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+  const key = hashSessionToken(token);
+  accountSessions.set(key, { accountId, createdAt: now, expiresAt: now + ACCOUNT_SESSION_TTL_MS });
+  persistAccountSession(key);
+  return token;
 }
 
-function blockIpInRoom(name, ip) {
-  const roomName = sanitizeRoomName(name);
-  if (!roomDirectory.has(roomName)) {
-    throw new Error('Room not found.');
-  }
-  const normalized = normalizeIp(ip);
-  if (!normalized || net.isIP(normalized) === 0) {
-    throw new Error('有効なIPアドレスを入力してください。');
+function resolveAccountSession(token) {
+  if (typeof token !== 'string' || !token) return null;
+  const key = hashSessionToken(token);
+  const session = accountSessions.get(key);
+  if (!session) return null;
+  const account = accounts.get(session.accountId);
+  if (!account || session.expiresAt <= Date.now()) {
+    accountSessions.delete(key);
+    persistAccountSession(key);
+    return null;
   }
-  const blocked = roomBlockedIps.get(roomName) || new Set();
-  blocked.add(normalized);
-  roomBlockedIps.set(roomName, blocked);
+  return { key, account };
+}
 
-  const sockets = roomSockets.get(roomName);
-  if (sockets) {
-    Array.from(sockets).forEach((socketId) => {
-      const client = io.sockets.sockets.get(socketId);
-      if (!client) return;
-      const clientIp = getClientIp(client);
-      if (clientIp === normalized) {
-        removeSocketFromRoom(client, roomName, { notifyOthers: true });
-        client.emit('room-blocked', { room: roomName, ip: normalized });
-      }
-    });
-  }
+function revokeAccountSession(key) {
+  accountSessions.delete(key);
+  persistAccountSession(key);
+  removePushSubscriptions((subscription) => subscription.sessionKey === key);
+  io.sockets.sockets.forEach((connected) => {
+    if (connected.data.sessionKey === key) {
+      connected.disconnect(true);
+    }
+  });
 }
 
-function unblockIpInRoom(name, ip) {
-  const roomName = sanitizeRoomName(name);
-  if (!roomDirectory.has(roomName)) {
-    throw new Error('Room not found.');
-  }
-  const normalized = normalizeIp(ip);
-  if (!normalized) {
-    throw new Error('IPアドレスを入力してください。');
-  }
-  const blocked = roomBlockedIps.get(roomName);
-  if (!blocked || !blocked.has(normalized)) {
-    throw new Error('指定されたIPアドレスはブロックされていません。');
+function toPublicAttachment(info) {
+  const url = `/api/attachments/${encodeURIComponent(info.id)}`;
+  const attachment = {
+    id: info.id,
+    name: info.name,
+    mime: info.mime,
+    size: info.size,
+    url,
+    thumbnailUrl: info.thumbnail ? `${url}/thumbnail` : null,
+  };
+  if (info.kind === 'voice') {
+    attachment.kind = 'voice';
+    attachment.duration = info.duration;
   }
-  blocked.delete(normalized);
-  roomBlockedIps.set(roomName, blocked);
+  return attachment;
 }
 
-DEFAULT_ROOMS.forEach(({ name, password }) => {
-  if (!roomDirectory.has(name)) {
-    try {
-      createRoom(name, password);
-    } catch (error) {
-      console.error('Failed to create default room', name, error);
+function deleteAttachment(id) {
+  if (!attachments.has(id)) return;
+  attachments.delete(id);
+  store.delete('attachments', id);
+  attachmentFiles.remove(id);
+}
+
+function releaseMessageAttachments(message) {
+  if (!message || !Array.isArray(message.attachments)) return;
+  message.attachments.forEach((attachment) => {
+    if (attachment && attachment.id) {
+      deleteAttachment(attachment.id);
     }
-  }
-});
+  });
+}
 
-function authenticateAdmin(req, res, next) {
-  const token = req.headers['x-admin-token'];
-  if (!token || !adminSessions.has(token)) {
-    return res.status(401).json({ ok: false, error: '認証が必要です。' });
+function issueUploadToken(socketId) {
+  const existing = Array.from(uploadTokens.entries()).find(([, id]) => id === socketId);
+  if (existing) {
+    return existing[0];
   }
-  return next();
+  const token = crypto.randomBytes(24).toString('hex');
+  uploadTokens.set(token, socketId);
+  return token;
 }
 
-app.get('/api/rooms', (req, res) => {
-  res.json({ rooms: getPublicRooms() });
-});
+function revokeUploadTokens(socketId) {
+  uploadTokens.forEach((id, token) => {
+    if (id === socketId) {
+      uploadTokens.delete(token);
+    }
+  });
+}
 
-app.post('/api/rooms', (req, res) => {
-  const { name, password } = req.body || {};
-  try {
-    const created = createRoom(name, password);
-    res.status(201).json({ ok: true, room: created, rooms: getPublicRooms() });
-  } catch (error) {
-    res.status(400).json({ ok: false, error: error.message });
+// Resolve the socket and room behind an upload request, or null when it is not allowed to upload.
+function getUploader(req) {
+  const token = req.headers['x-upload-token'];
+  const socketId = typeof token === 'string' ? uploadTokens.get(token) : undefined;
+  const room = socketId ? userProfiles.get(socketId)?.room : null;
+  if (!room) {
+    return null;
   }
-});
+  return { socketId, room };
+}
 
-app.post('/api/admin/login', (req, res) => {
-  const { password } = req.body || {};
-  if (password !== ADMIN_PASSWORD) {
-    return res.status(401).json({ ok: false, error: 'パスワードが違います。' });
+function readCookie(req, name) {
+  const header = req.headers.cookie;
+  if (typeof header !== 'string') return null;
+  const entry = header.split(';').map((part) => part.trim()).find((part) => part.startsWith(`${name}=`));
+  return entry ? entry.slice(name.length + 1) : null;
+}
+
+// Only a browser with a socket in the attachment's room may download it.
+function canViewAttachment(req, info) {
+  const key = readCookie(req, ATTACHMENT_ACCESS_COOKIE);
+  const sockets = roomSockets.get(info.room);
+  if (!key || !sockets) return false;
+  return Array.from(sockets).some((socketId) => io.sockets.sockets.get(socketId)?.data.attachmentAccessKey === key);
+}
+
+function issueResumeToken(socketId, room, accountId) {
+  revokeResumeTokens(socketId);
+  const token = crypto.randomBytes(24).toString('base64url');
+  resumeSessions.set(token, { socketId, room, accountId });
+  return token;
+}
+
+function revokeResumeTokens(socketId) {
+  resumeSessions.forEach((session, token) => {
+    if (session.socketId === socketId) {
+      resumeSessions.delete(token);
+    }
+  });
+}
+
+function issueRoomPass(accountId, room, user) {
+  revokeRoomPasses(accountId, room);
+  const token = crypto.randomBytes(24).toString('base64url');
+  roomPasses.set(token, { accountId, room, user, expiresAt: Date.now() + ROOM_PASS_TTL_MS });
+  return token;
+}
+
+function revokeRoomPasses(accountId, room) {
+  roomPasses.forEach((pass, token) => {
+    if (pass.accountId === accountId && (!room || pass.room === room)) {
+      roomPasses.delete(token);
+    }
+  });
+}
+
+// The pass a member received on joining; it stands in for the room password on HTTP routes.
+function resolveRoomPass(req, room, accountId) {
+  const pass = roomPasses.get(req.headers['x-room-pass']);
+  if (!pass || pass.room !== room || pass.accountId !== accountId || pass.expiresAt <= Date.now()) {
+    return null;
   }
-  const token = safeRandomUUID();
-  adminSessions.set(token, { createdAt: Date.now() });
-  res.json({ ok: true, token, rooms: getAdminRooms() });
-});
+  return roomDirectory.has(room) ? pass : null;
+}
 
-app.post('/api/admin/logout', authenticateAdmin, (req, res) => {
-  const token = req.headers['x-admin-token'];
-  adminSessions.delete(token);
-  res.json({ ok: true });
-});
+function hashPushEndpoint(endpoint) {
+  return crypto.createHash('sha256').update(endpoint).digest('hex');
+}
 
-app.get('/api/admin/rooms', authenticateAdmin, (req, res) => {
-  res.json({ rooms: getAdminRooms() });
+function removePushSubscriptions(predicate) {
+  pushSubscriptions.forEach((subscription, key) => {
+    if (predicate(subscription)) {
+      pushSubscriptions.delete(key);
+      persistPushSubscription(key);
+    }
+  });
+}
+
+// Stop pushing a room's messages to an account (or to everyone when no account is given).
+function removePushRoom(room, accountId) {
+  pushSubscriptions.forEach((subscription, key) => {
+    if ((accountId && subscription.accountId !== accountId) || !subscription.rooms.includes(room)) return;
+    pushSubscriptions.set(key, { ...subscription, rooms: subscription.rooms.filter((name) => name !== room) });
+    persistPushSubscription(key);
+  });
+}
+
+// A member counts as online while one of their sockets is connected to the room; seats held during
+// the reconnect grace period do not count because the page may already be closed.
+function isMemberOnline(room, memberId) {
+  return findRoomMemberSockets(room, memberId).some((socketId) => !disconnectedMembers.has(socketId));
+}
+
+function describeMessageForPush(message) {
+  if (typeof message.text === 'string' && message.text) {
+    return message.text.slice(0, PUSH_PREVIEW_LENGTH);
+  }
+  if (message.location) {
+    return '位置情報が共有されました。';
+  }
+  if (Array.isArray(message.attachments) && message.attachments.length) {
+    return message.attachments.some((attachment) => attachment.kind === 'voice')
+      ? 'ボイスメッセージが届きました。'
+      : 'ファイルが送信されました。';
+  }
+  return '新着メッセージがあります。';
+}
+
+// Members that `@name` can refer to: everyone in the room plus members who get its push notifications.
+function getMentionCandidates(room) {
+  const candidates = new Map();
+  const members = roomMembers.get(room);
+  if (members) {
+    members.forEach((member) => {
+      candidates.set(member.user.toLowerCase(), { memberId: member.memberId, name: member.user });
+    });
+  }
+  pushSubscriptions.forEach((subscription) => {
+    const account = subscription.rooms.includes(room) ? accounts.get(subscription.accountId) : null;
+    if (!account) return;
+    const known = Array.from(candidates.values()).some((candidate) => candidate.memberId === account.id);
+    if (!known && !candidates.has(account.displayName.toLowerCase())) {
+      candidates.set(account.displayName.toLowerCase(), { memberId: account.id, name: account.displayName });
+    }
+  });
+  return candidates;
+}
+
+// Resolve `@name` mentions in a message to member IDs, preferring the longest matching name.
+function findMentions(room, text) {
+  if (typeof text !== 'string' || !text.includes('@')) return [];
+  const candidates = getMentionCandidates(room);
+  const names = Array.from(candidates.keys()).sort((a, b) => b.length - a.length);
+  const lower = text.toLowerCase();
+  const found = new Map();
+  for (let index = lower.indexOf('@'); index !== -1; index = lower.indexOf('@', index + 1)) {
+    if (index > 0 && MENTION_WORD_CHAR.test(text.charAt(index - 1))) continue;
+    const name = names.find(
+      (candidate) =>
+        lower.startsWith(candidate, index + 1) && !MENTION_WORD_CHAR.test(text.charAt(index + 1 + candidate.length))
+    );
+    if (name) {
+      const candidate = candidates.get(name);
+      found.set(candidate.memberId, candidate);
+    }
+  }
+  return Array.from(found.values());
+}
+
+function notifyOfflineMembers(room, message) {
+  const payload = JSON.stringify({
+    type: 'message',
+    room,
+    messageId: message.id,
+    title: `${message.user}（${room}）`,
+    body: describeMessageForPush(message),
+  });
+  pushSubscriptions.forEach((subscription, key) => {
+    if (!subscription.rooms.includes(room) || subscription.accountId === message.memberId) return;
+    if (isMemberOnline(room, subscription.accountId)) return;
+    if (!shouldNotifyMember(subscription.accountId, room, message)) return;
+    webPush
+      .sendNotification(subscription, payload, { ttl: PUSH_TTL_SECONDS })
+      .then((status) => {
+        if (status === 404 || status === 410) {
+          // The browser dropped the subscription; forget it.
+          pushSubscriptions.delete(key);
+          persistPushSubscription(key);
+        } else if (status >= 400) {
+          console.warn('Push service rejected a notification', status);
+        }
+      })
+      .catch((error) => {
+        console.warn('Failed to send push notification:', error.message);
+      });
+  });
+}
+
+function sanitizeClientId(value) {
+  return typeof value === 'string' && CLIENT_ID_PATTERN.test(value) ? value : null;
+}
+
+// Messages carry the sender's client-generated ID so a retried send is recognised instead of posted twice.
+function findMessageByClientId(room, memberId, clientId) {
+  if (!clientId) return null;
+  const messages = roomMessages.get(room) || [];
+  for (let index = messages.length - 1; index >= 0; index -= 1) {
+    const message = messages[index];
+    if (message.clientId === clientId && message.memberId === memberId) {
+      return message;
+    }
+  }
+  return null;
+}
+
+function publishRoomMessage(room, message) {
+  const history = roomMessages.get(room) || [];
+  history.push(message);
+  if (history.length > MAX_MESSAGES_PER_ROOM) {
+    history.splice(0, history.length - MAX_MESSAGES_PER_ROOM).forEach(releaseMessageAttachments);
+  }
+  roomMessages.set(room, history);
+  // Count-based retention applies as soon as the room grows past its limit, not only on the next sweep.
+  if (roomDirectory.get(room)?.retention?.mode === 'count') {
+    applyRetention(room);
+  }
+  persistMessages(room);
+  io.to(room).emit('message', message);
+  // Sending a message implies having read everything before it.
+  markRead(room, message.memberId, message);
+  notifyOfflineMembers(room, message);
+}
+
+function getReadPositions(room) {
+  return Array.from((readPositions.get(room) || new Map()).entries()).map(([memberId, position]) => ({
+    memberId,
+    ...position,
+  }));
+}
+
+// Positions only move forward in time; reading an older page again leaves them where they are.
+function markRead(room, memberId, message) {
+  if (!readPositions.has(room)) {
+    readPositions.set(room, new Map());
+  }
+  const positions = readPositions.get(room);
+  const current = positions.get(memberId);
+  if (current && (current.messageId === message.id || current.time > message.time)) {
+    return false;
+  }
+  const position = { messageId: message.id, time: message.time };
+  positions.set(memberId, position);
+  persistReadPositions(room);
+  io.to(room).emit('read-position', { memberId, ...position });
+  return true;
+}
+
+function hasResumeToken(socketId) {
+  return Array.from(resumeSessions.values()).some((session) => session.socketId === socketId);
+}
+
+// Hand a dropped socket's place in the room over to the socket that resumed it.
+function transferMembership(previousId, nextId, room) {
+  const sockets = roomSockets.get(room);
+  if (sockets) {
+    sockets.delete(previousId);
+    sockets.add(nextId);
+  }
+  const members = roomMembers.get(room);
+  if (members && members.has(previousId)) {
+    const member = members.get(previousId);
+    members.delete(previousId);
+    members.set(nextId, { ...member, id: nextId });
+  }
+  const participants = callParticipants.get(room);
+  if (participants && participants.has(previousId)) {
+    const participant = participants.get(previousId);
+    participants.delete(previousId);
+    participants.set(nextId, { ...participant, id: nextId });
+  }
+  const profile = userProfiles.get(previousId);
+  userProfiles.delete(previousId);
+  if (profile) {
+    userProfiles.set(nextId, profile);
+  }
+  attachments.forEach((info, id) => {
+    if (info.uploadedBy === previousId && !info.attached) {
+      info.uploadedBy = nextId;
+      persistAttachment(id);
+    }
+  });
+}
+
+function finalizeDisconnect(socketId, { notifyOthers = true } = {}) {
+  const pending = disconnectedMembers.get(socketId);
+  if (!pending) return;
+  clearTimeout(pending.timer);
+  disconnectedMembers.delete(socketId);
+  revokeResumeTokens(socketId);
+  const profile = userProfiles.get(socketId);
+  if (profile?.room) {
+    removeSocketFromRoom(pending.socket, profile.room, { notifyOthers });
+  }
+  userProfiles.delete(socketId);
+}
+
+// Messages a resuming client missed: everything after its last known message plus older ones
+// edited or deleted since it dropped. Falls back to the latest page when the gap is too large.
+function getMissedMessages(room, { after, since } = {}) {
+  const messages = roomMessages.get(room) || [];
+  const index = typeof after === 'string' ? messages.findIndex((message) => message.id === after) : -1;
+  const newer = index === -1 ? [] : messages.slice(index + 1);
+  if (index === -1 || newer.length > MAX_HISTORY_PAGE_SIZE) {
+    return { ...getHistoryPage(room), reset: true };
+  }
+  const changed = messages
+    .slice(0, index + 1)
+    .filter((message) => (message.editedAt || 0) > since || (message.deletedAt || 0) > since);
+  return { messages: [...changed, ...newer], hasMore: false, reset: false };
+}
+
+function sanitizeAttachmentName(value) {
+  let name = '';
+  if (typeof value === 'string') {
+    try {
+      name = decodeURIComponent(value);
+    } catch (error) {
+      name = value;
+    }
+  }
+  name = path.basename(name.replace(/\\/g, '/')).replace(/[\u0000-\u001f]/g, '').trim();
+  return name.slice(0, MAX_ATTACHMENT_NAME_LENGTH) || 'file';
+}
+
+// A direct message channel belongs to one room and one unordered pair of members.
+function getDirectChannelKey(room, a, b) {
+  return JSON.stringify([room, ...[a, b].sort()]);
+}
+
+function getDirectChannelRoom(key) {
+  try {
+    const parsed = JSON.parse(key);
+    return Array.isArray(parsed) ? parsed[0] : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function findRoomMemberSockets(room, memberId) {
+  const members = roomMembers.get(room);
+  if (!members) return [];
+  return Array.from(members.values())
+    .filter((member) => member.memberId === memberId)
+    .map((member) => member.id);
+}
+
+function isDisplayNameTaken(room, name, memberId) {
+  const members = roomMembers.get(room);
+  if (!members) return false;
+  const normalized = name.toLowerCase();
+  return Array.from(members.values()).some(
+    (member) => member.memberId !== memberId && member.user.toLowerCase() === normalized
+  );
+}
+
+// Names are unique within a room so nobody can pass as another member; later arrivals get a numeric suffix.
+function resolveRoomDisplayName(room, name, memberId) {
+  const members = roomMembers.get(room);
+  const existing = members && Array.from(members.values()).find((member) => member.memberId === memberId);
+  if (existing) {
+    return existing.user;
+  }
+  let candidate = name;
+  let suffix = 2;
+  while (isDisplayNameTaken(room, candidate, memberId)) {
+    candidate = `${name} (${suffix})`;
+    suffix += 1;
+  }
+  return candidate;
+}
+
+function isMessageAuthor(message, profile, socketId) {
+  // Messages stored before member IDs existed can only be matched by the sending socket.
+  return message.memberId ? message.memberId === profile.accountId : message.senderId === socketId;
+}
+
+function findRoomMessage(room, id) {
+  if (typeof id !== 'string' || !id) {
+    return null;
+  }
+  const history = roomMessages.get(room) || [];
+  return history.find((message) => message.id === id) || null;
+}
+
+// Return up to `limit` messages older than the message with ID `before` (or the latest page).
+function getHistoryPage(room, { before, limit } = {}) {
+  const history = roomMessages.get(room) || [];
+  const pageSize = Number.isInteger(limit)
+    ? Math.min(Math.max(limit, 1), MAX_HISTORY_PAGE_SIZE)
+    : HISTORY_PAGE_SIZE;
+  let end = history.length;
+  if (typeof before === 'string' && before) {
+    end = history.findIndex((message) => message.id === before);
+    if (end === -1) {
+      return { messages: [], hasMore: false };
+    }
+  }
+  const start = Math.max(0, end - pageSize);
+  return { messages: history.slice(start, end), hasMore: start > 0 };
+}
+
+// Case- and width-insensitive form used for search, so "ＡＢＣ" matches "abc" and half-width kana match full-width.
+function normalizeSearchText(value) {
+  return typeof value === 'string' ? value.normalize('NFKC').toLowerCase() : '';
+}
+
+// Parse search query parameters; returns null when no criteria were given.
+function parseSearchCriteria(query = {}) {
+  const terms = normalizeSearchText(query.q).split(/\s+/).filter(Boolean).slice(0, MAX_SEARCH_TERMS);
+  const author = normalizeSearchText(query.author).trim();
+  const since = Number(query.since);
+  const until = Number(query.until);
+  const has = String(query.has || '')
+    .split(',')
+    .map((filter) => filter.trim())
+    .filter((filter) => SEARCH_FILTERS.includes(filter));
+  const criteria = {
+    terms,
+    author,
+    since: query.since !== undefined && query.since !== '' && Number.isFinite(since) ? since : null,
+    until: query.until !== undefined && query.until !== '' && Number.isFinite(until) ? until : null,
+    has,
+  };
+  const empty = !terms.length && !author && criteria.since === null && criteria.until === null && !has.length;
+  return empty ? null : criteria;
+}
+
+function matchesSearch(message, criteria) {
+  if (!message || message.deleted) return false;
+  if (criteria.since !== null && message.time < criteria.since) return false;
+  if (criteria.until !== null && message.time > criteria.until) return false;
+  if (criteria.author && !normalizeSearchText(message.user).includes(criteria.author)) return false;
+  const attachments = Array.isArray(message.attachments) ? message.attachments : [];
+  if (criteria.has.includes('location') && !message.location) return false;
+  if (criteria.has.includes('attachment') && attachments.length === 0) return false;
+  if (!criteria.terms.length) return true;
+  const haystack = normalizeSearchText([message.text, ...attachments.map((attachment) => attachment.name)].join('\n'));
+  return criteria.terms.every((term) => haystack.includes(term));
+}
+
+// Newest matches first, up to `limit` results older than the message with ID `before`.
+function searchRoomMessages(room, criteria, { before, limit } = {}) {
+  const history = roomMessages.get(room) || [];
+  const pageSize = Number.isInteger(limit) ? Math.min(Math.max(limit, 1), MAX_HISTORY_PAGE_SIZE) : SEARCH_PAGE_SIZE;
+  let index = history.length - 1;
+  if (typeof before === 'string' && before) {
+    index = history.findIndex((message) => message.id === before) - 1;
+    if (index === -2) {
+      return { results: [], hasMore: false };
+    }
+  }
+  const results = [];
+  for (; index >= 0 && results.length < pageSize; index -= 1) {
+    if (matchesSearch(history[index], criteria)) {
+      results.push(history[index]);
+    }
+  }
+  const hasMore = history.slice(0, index + 1).some((message) => matchesSearch(message, criteria));
+  return { results, hasMore };
+}
+
+function buildReplyPreview(parent) {
+  const preview = { id: parent.id, user: parent.user };
+  if (parent.deleted) {
+    preview.deleted = true;
+  } else if (typeof parent.text === 'string' && parent.text) {
+    preview.text = parent.text.slice(0, REPLY_PREVIEW_LENGTH);
+  } else if (parent.location) {
+    preview.location = true;
+  } else if (Array.isArray(parent.attachments) && parent.attachments.length) {
+    preview.attachment = true;
+  }
+  return preview;
+}
+
+// Keep the quoted previews of replies in sync after their parent changes.
+function refreshReplyPreviews(room, parent) {
+  const history = roomMessages.get(room) || [];
+  history.forEach((message) => {
+    if (message.replyTo && message.replyTo.id === parent.id) {
+      message.replyTo = buildReplyPreview(parent);
+      io.to(room).emit('message-updated', message);
+    }
+  });
+}
+
+function getAdminRooms() {
+  return Array.from(roomDirectory.entries()).map(([name, info]) => ({
+    name,
+    createdAt: info.createdAt,
+    retention: info.retention,
+    blockedIps: roomBlockedIps.get(name)?.list() || [],
+    members: getAdminRoomMembers(name),
+    mutes: listRestrictions(info.mutes),
+    bans: listRestrictions(info.bans),
+  }));
+}
+
+// One entry per account, even when the member has several tabs open.
+function getAdminRoomMembers(room) {
+  const members = new Map();
+  (roomMembers.get(room) || new Map()).forEach(({ memberId, user }) => {
+    if (!members.has(memberId)) {
+      members.set(memberId, { memberId, user, role: getRoomRole(room, memberId) });
+    }
+  });
+  return Array.from(members.values());
+}
+
+function listRestrictions(entries) {
+  return Object.entries(pruneExpired(entries)).map(([memberId, until]) => {
+    const account = accounts.get(memberId);
+    return {
+      memberId,
+      username: account?.username || null,
+      user: account?.displayName || memberId,
+      until,
+    };
+  });
+}
+
+function broadcastRooms() {
+  io.emit('rooms-update', getPublicRooms());
+}
+
+function getClientIp(socket) {
+  if (!socket) return '';
+  const address = socket.handshake?.address || socket.conn?.remoteAddress || '';
+  return clientIps.resolve(address, socket.handshake?.headers);
+}
+
+function getRequestIp(req) {
+  return clientIps.resolve(req.socket.remoteAddress, req.headers);
+}
+
+function formatRetryAfter(ms) {
+  return `${Math.max(1, Math.ceil(ms / 1000))}秒後にもう一度お試しください。`;
+}
+
+function sendTooManyRequests(res, error, retryAfterMs) {
+  res.set('Retry-After', String(Math.max(1, Math.ceil(retryAfterMs / 1000))));
+  return res.status(429).json({ ok: false, error, retryAfter: retryAfterMs });
+}
+
+function limitRequests(type, getKey = getRequestIp) {
+  return (req, res, next) => {
+    const { ok, retryAfterMs } = rateLimiter.consume(type, getKey(req));
+    if (ok) return next();
+    return sendTooManyRequests(res, `リクエストが多すぎます。${formatRetryAfter(retryAfterMs)}`, retryAfterMs);
+  };
+}
+
+// For routes behind authenticateAccount, so members sharing an address do not share a bucket.
+function getRequestAccountId(req) {
+  return req.accountSession.account.id;
+}
+
+function sendLoginLocked(res, retryAfterMs) {
+  return sendTooManyRequests(res, `ログインの試行回数が多すぎます。${formatRetryAfter(retryAfterMs)}`, retryAfterMs);
+}
+
+function removeSocketFromRoom(socket, room, { notifyOthers = true } = {}) {
+  const roomName = sanitizeRoomName(room);
+  if (!roomName) return false;
+  const sockets = roomSockets.get(roomName);
+  let wasMember = false;
+  if (sockets && sockets.has(socket.id)) {
+    sockets.delete(socket.id);
+    wasMember = true;
+  }
+  socket.leave(roomName);
+  const profile = userProfiles.get(socket.id);
+  const displayName = profile?.user || socket.id;
+  if (notifyOthers && wasMember) {
+    socket.to(roomName).emit('system', `${displayName} left ${roomName}`);
+  }
+  const participants = callParticipants.get(roomName);
+  if (participants && participants.has(socket.id)) {
+    participants.delete(socket.id);
+    if (participants.size === 0) {
+      callParticipants.delete(roomName);
+    } else {
+      callParticipants.set(roomName, participants);
+    }
+    broadcastParticipants(roomName);
+  }
+  const members = roomMembers.get(roomName);
+  if (members && members.has(socket.id)) {
+    members.delete(socket.id);
+    emitRoomUsers(roomName);
+  }
+  if (profile) {
+    userProfiles.set(socket.id, { ...profile, room: null });
+  }
+  if (wasMember && sockets.size === 0) {
+    applyRetention(roomName);
+  }
+  return wasMember;
+}
+
+function createRoom(name, password, retention, { ownerId } = {}) {
+  const roomName = sanitizeRoomName(name);
+  if (!roomName) {
+    throw new Error('Room name is required.');
+  }
+  if (roomDirectory.has(roomName)) {
+    throw new Error('Room already exists.');
+  }
+  const retentionPolicy = parseRetention(retention);
+  roomDirectory.set(roomName, {
+    passwordHash: hashPassword(normalizeRoomPassword(password)),
+    createdAt: Date.now(),
+    retention: retentionPolicy,
+    roles: ownerId ? { [ownerId]: 'owner' } : {},
+  });
+  ensureRoom(roomName);
+  persistRoom(roomName);
+  broadcastRooms();
+  return roomName;
+}
+
+function sanitizeRoomRoles(value) {
+  if (!value || typeof value !== 'object') return {};
+  return Object.fromEntries(Object.entries(value).filter(([, role]) => ROOM_ROLES.includes(role) && role !== 'member'));
+}
+
+function getRoomRole(room, accountId) {
+  return roomDirectory.get(room)?.roles?.[accountId] || 'member';
+}
+
+function canModerate(room, actorId, targetId) {
+  if (!actorId || !targetId || actorId === targetId) return false;
+  const actorRank = ROOM_ROLES.indexOf(getRoomRole(room, actorId));
+  return actorRank >= ROOM_ROLES.indexOf('moderator') && actorRank > ROOM_ROLES.indexOf(getRoomRole(room, targetId));
+}
+
+function setRoomRole(room, accountId, role) {
+  const info = roomDirectory.get(room);
+  const roles = { ...(info.roles || {}) };
+  if (role === 'member') {
+    delete roles[accountId];
+  } else {
+    roles[accountId] = role;
+  }
+  roomDirectory.set(room, { ...info, roles });
+  persistRoom(room);
+  emitRoomUsers(room);
+}
+
+function getMutedUntil(room, accountId) {
+  const until = roomDirectory.get(room)?.mutes?.[accountId];
+  return typeof until === 'number' && until > Date.now() ? until : null;
+}
+
+function getBannedUntil(room, accountId) {
+  const until = roomDirectory.get(room)?.bans?.[accountId];
+  return typeof until === 'number' && until > Date.now() ? until : null;
+}
+
+function pruneExpired(entries, now = Date.now()) {
+  return Object.fromEntries(Object.entries(entries || {}).filter(([, until]) => until > now));
+}
+
+// `until` of null lifts the mute. Expired entries are dropped whenever the list is written.
+function setRoomMute(room, accountId, until) {
+  const info = roomDirectory.get(room);
+  const mutes = pruneExpired(info.mutes);
+  if (until) {
+    mutes[accountId] = until;
+  } else {
+    delete mutes[accountId];
+  }
+  roomDirectory.set(room, { ...info, mutes });
+  persistRoom(room);
+  findRoomMemberSockets(room, accountId).forEach((socketId) => {
+    io.to(socketId).emit('muted', { room, until: until || null });
+  });
+  emitRoomUsers(room);
+}
+
+// Keep a member out of the room until `until`; null lifts the ban. Banning also removes them from the room.
+function setRoomBan(room, accountId, until) {
+  const info = roomDirectory.get(room);
+  const bans = pruneExpired(info.bans);
+  if (until) {
+    bans[accountId] = until;
+  } else {
+    delete bans[accountId];
+  }
+  roomDirectory.set(room, { ...info, bans });
+  persistRoom(room);
+  return until ? kickFromRoom(room, accountId, { bannedUntil: until }) : null;
+}
+
+// Remove every connection of a member from the room, including one held after a dropped connection.
+function kickFromRoom(room, accountId, { bannedUntil = null } = {}) {
+  let name = null;
+  findRoomMemberSockets(room, accountId).forEach((socketId) => {
+    name = name || userProfiles.get(socketId)?.user || null;
+    if (disconnectedMembers.has(socketId)) {
+      finalizeDisconnect(socketId, { notifyOthers: false });
+      return;
+    }
+    const client = io.sockets.sockets.get(socketId);
+    if (!client) return;
+    revokeResumeTokens(socketId);
+    removeSocketFromRoom(client, room, { notifyOthers: false });
+    client.emit('kicked', { room, bannedUntil });
+  });
+  revokeRoomPasses(accountId, room);
+  removePushRoom(room, accountId);
+  return name;
+}
+
+function deleteRoom(name) {
+  const roomName = sanitizeRoomName(name);
+  if (!roomDirectory.has(roomName)) {
+    throw new Error('Room not found.');
+  }
+
+  disconnectedMembers.forEach((pending, socketId) => {
+    if (userProfiles.get(socketId)?.room === roomName) {
+      finalizeDisconnect(socketId, { notifyOthers: false });
+    }
+  });
+
+  const sockets = roomSockets.get(roomName);
+  if (sockets) {
+    sockets.forEach((socketId) => {
+      const client = io.sockets.sockets.get(socketId);
+      if (client) {
+        removeSocketFromRoom(client, roomName, { notifyOthers: false });
+        client.emit('room-deleted', { room: roomName });
+      }
+    });
+    roomSockets.delete(roomName);
+  }
+
+  (roomMessages.get(roomName) || []).forEach(releaseMessageAttachments);
+  attachments.forEach((info, id) => {
+    if (info.room === roomName) {
+      deleteAttachment(id);
+    }
+  });
+  directMessages.forEach((messages, key) => {
+    if (getDirectChannelRoom(key) === roomName) {
+      directMessages.delete(key);
+      store.delete('directMessages', key);
+    }
+  });
+  roomDirectory.delete(roomName);
+  roomMessages.delete(roomName);
+  roomMembers.delete(roomName);
+  callParticipants.delete(roomName);
+  roomBlockedIps.delete(roomName);
+  readPositions.delete(roomName);
+  store.delete('readPositions', roomName);
+  removePushRoom(roomName);
+  forgetNotificationPreferences(roomName);
+  store.delete('rooms', roomName);
+  store.delete('messages', roomName);
+  store.delete('blockedIps', roomName);
+  broadcastRooms();
+}
+
+function setRoomRetention(name, retention) {
+  const roomName = sanitizeRoomName(name);
+  const info = roomDirectory.get(roomName);
+  if (!info) {
+    throw new Error('Room not found.');
+  }
+  roomDirectory.set(roomName, { ...info, retention: parseRetention(retention) });
+  persistRoom(roomName);
+  persistMessages(roomName);
+  persistReadPositions(roomName);
+  applyRetention(roomName);
+}
+
+// Remove the messages that fall outside the room's retention policy and tell clients exactly which ones went.
+function applyRetention(room, { now = Date.now() } = {}) {
+  const info = roomDirectory.get(room);
+  const history = roomMessages.get(room);
+  if (!info || !history || history.length === 0) {
+    return 0;
+  }
+  const retention = info.retention || { mode: 'forever' };
+  let keepFrom = 0;
+  if (retention.mode === 'days') {
+    const cutoff = now - retention.value * DAY_MS;
+    keepFrom = history.findIndex((message) => message.time >= cutoff);
+    if (keepFrom === -1) keepFrom = history.length;
+  } else if (retention.mode === 'count') {
+    keepFrom = Math.max(0, history.length - retention.value);
+  } else if (retention.mode === 'ephemeral') {
+    const sockets = roomSockets.get(room);
+    keepFrom = sockets && sockets.size > 0 ? 0 : history.length;
+  }
+  if (keepFrom === 0) {
+    return 0;
+  }
+  const removed = history.splice(0, keepFrom);
+  removed.forEach(releaseMessageAttachments);
+  persistMessages(room);
+  if (retention.mode === 'ephemeral') {
+    readPositions.delete(room);
+  }
+  io.to(room).emit('clear-history', {
+    room,
+    ids: removed.map((message) => message.id).filter(Boolean),
+    before: history.length > 0 ? history[0].time : removed[removed.length - 1].time + 1,
+  });
+  return removed.length;
+}
+
+const EXPORT_FORMATS = {
+  json: (room, messages) => JSON.stringify(createArchive(room, messages), null, 2),
+  csv: (room, messages) => toCsv(messages),
+  html: (room, messages, { timeZone }) => toHtml(room, messages, { timeZone }),
+};
+
+function exportRoomHistory(name, format, { timeZone } = {}) {
+  const roomName = sanitizeRoomName(name);
+  if (!roomDirectory.has(roomName)) {
+    throw new Error('ルームが見つかりません。');
+  }
+  const render = EXPORT_FORMATS[format];
+  if (!render) {
+    throw new Error('エクスポート形式は json・csv・html のいずれかを指定してください。');
+  }
+  // The sending socket ID means nothing outside this process.
+  const messages = (roomMessages.get(roomName) || []).map(({ senderId, ...message }) => message);
+  return { roomName, body: render(roomName, messages, { timeZone }) };
+}
+
+function isShortString(value, maxLength) {
+  return typeof value === 'string' && value.length > 0 && value.length <= maxLength;
+}
+
+// Shared by live messages and imports so that every stored location survives an export and re-import.
+function sanitizeLocation(value) {
+  const { latitude, longitude } = value && typeof value === 'object' ? value : {};
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return null;
+  }
+  return { latitude, longitude };
+}
+
+// Rebuild one exported message from known fields only; throws with the reason when it does not fit the schema.
+function sanitizeImportedMessage(raw, roomName) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('オブジェクトではありません。');
+  }
+  if (typeof raw.id !== 'string' || !MESSAGE_ID_PATTERN.test(raw.id)) {
+    throw new Error('id が正しくありません。');
+  }
+  if (!Number.isFinite(raw.time) || raw.time <= 0) {
+    throw new Error('time が正しくありません。');
+  }
+  if (!isShortString(raw.user, MAX_DISPLAY_NAME_LENGTH * 2)) {
+    throw new Error('user が正しくありません。');
+  }
+  const message = { id: raw.id, user: raw.user, time: raw.time };
+  if (raw.memberId !== undefined) {
+    if (!isShortString(raw.memberId, 64)) throw new Error('memberId が正しくありません。');
+    message.memberId = raw.memberId;
+  }
+  if (raw.icon !== undefined && raw.icon !== null) {
+    const icon = sanitizeIconDataUrl(raw.icon);
+    if (!icon) throw new Error('icon が正しくありません。');
+    message.icon = icon;
+  }
+  if (raw.clientId !== undefined) {
+    const clientId = sanitizeClientId(raw.clientId);
+    if (!clientId) throw new Error('clientId が正しくありません。');
+    message.clientId = clientId;
+  }
+  if (raw.editedAt !== undefined) {
+    if (!Number.isFinite(raw.editedAt)) throw new Error('editedAt が正しくありません。');
+    message.editedAt = raw.editedAt;
+  }
+  if (raw.replyTo !== undefined) {
+    const { replyTo } = raw;
+    if (!replyTo || typeof replyTo !== 'object' || typeof replyTo.id !== 'string' || typeof replyTo.user !== 'string') {
+      throw new Error('replyTo が正しくありません。');
+    }
+    message.replyTo = { id: replyTo.id, user: replyTo.user };
+    if (replyTo.deleted === true) {
+      message.replyTo.deleted = true;
+    } else if (typeof replyTo.text === 'string' && replyTo.text) {
+      message.replyTo.text = replyTo.text.slice(0, REPLY_PREVIEW_LENGTH);
+    } else if (replyTo.location === true) {
+      message.replyTo.location = true;
+    } else if (replyTo.attachment === true) {
+      message.replyTo.attachment = true;
+    }
+  }
+  if (raw.deleted === true) {
+    message.deleted = true;
+    message.deletedAt = Number.isFinite(raw.deletedAt) ? raw.deletedAt : raw.time;
+    if (raw.moderated === true) message.moderated = true;
+    return message;
+  }
+
+  if (raw.text !== undefined) {
+    if (typeof raw.text !== 'string') throw new Error('text が正しくありません。');
+    if (raw.text.trim()) message.text = raw.text.trim();
+  }
+  if (raw.location !== undefined) {
+    const location = sanitizeLocation(raw.location);
+    if (!location) throw new Error('location が正しくありません。');
+    message.location = location;
+  }
+  if (raw.attachments !== undefined) {
+    if (!Array.isArray(raw.attachments) || raw.attachments.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+      throw new Error('attachments が正しくありません。');
+    }
+    const kept = [];
+    const missing = [];
+    raw.attachments.forEach((attachment) => {
+      if (!attachment || typeof attachment.id !== 'string' || typeof attachment.name !== 'string') {
+        throw new Error('attachments が正しくありません。');
+      }
+      // Files are not part of the archive; only a blob still stored for this very message can be linked again.
+      const info = attachments.get(attachment.id);
+      if (info && info.room === roomName && info.messageId === message.id) {
+        kept.push(toPublicAttachment(info));
+      } else {
+        missing.push(sanitizeAttachmentName(attachment.name));
+      }
+    });
+    if (kept.length) message.attachments = kept;
+    if (missing.length) {
+      message.text = [message.text, `📎 ${missing.join('、')}`].filter(Boolean).join('\n');
+    }
+  }
+  if (!message.text && !message.location && !message.attachments) {
+    throw new Error('本文・位置情報・添付ファイルのいずれもありません。');
+  }
+  if (raw.mentions !== undefined) {
+    if (!Array.isArray(raw.mentions) || !raw.mentions.every((mention) => mention && isShortString(mention.memberId, 64) && isShortString(mention.name, MAX_DISPLAY_NAME_LENGTH * 2))) {
+      throw new Error('mentions が正しくありません。');
+    }
+    if (raw.mentions.length) message.mentions = raw.mentions.map(({ memberId, name }) => ({ memberId, name }));
+  }
+  if (raw.reactions !== undefined) {
+    const valid = Array.isArray(raw.reactions) && raw.reactions.every(
+      (reaction) => reaction
+        && ALLOWED_REACTIONS.includes(reaction.emoji)
+        && Array.isArray(reaction.users)
+        && reaction.users.every((reactor) => reactor && isShortString(reactor.id, 64) && typeof reactor.user === 'string')
+    );
+    if (!valid) throw new Error('reactions が正しくありません。');
+    const reactions = raw.reactions
+      .map(({ emoji, users }) => ({ emoji, count: users.length, users: users.map(({ id, user }) => ({ id, user })) }))
+      .filter((reaction) => reaction.count > 0);
+    if (reactions.length) message.reactions = reactions;
+  }
+  return message;
+}
+
+// Merge a JSON export into a room. Messages already in the room are kept as they are, and the
+// whole import is rejected if any message does not match the schema.
+function importRoomHistory(name, archive) {
+  const roomName = sanitizeRoomName(name);
+  if (!roomDirectory.has(roomName)) {
+    throw new Error('ルームが見つかりません。');
+  }
+  if (!archive || archive.format !== ARCHIVE_FORMAT || !Array.isArray(archive.messages)) {
+    throw new Error('エクスポートした JSON ファイルを指定してください。');
+  }
+  if (archive.version !== ARCHIVE_VERSION) {
+    throw new Error('このバージョンのエクスポートには対応していません。');
+  }
+  if (archive.messages.length > MAX_MESSAGES_PER_ROOM) {
+    throw new Error(`インポートできるメッセージは${MAX_MESSAGES_PER_ROOM}件までです。`);
+  }
+  const seen = new Set();
+  const imported = archive.messages.map((raw, index) => {
+    let message;
+    try {
+      message = sanitizeImportedMessage(raw, roomName);
+    } catch (error) {
+      throw new Error(`${index + 1}件目のメッセージが正しくありません: ${error.message}`);
+    }
+    if (seen.has(message.id)) {
+      throw new Error(`${index + 1}件目のメッセージの id が重複しています。`);
+    }
+    seen.add(message.id);
+    return message;
+  });
+
+  const history = roomMessages.get(roomName) || [];
+  const existing = new Set(history.map((message) => message.id));
+  const added = imported.filter((message) => !existing.has(message.id));
+  const merged = [...history, ...added].sort((a, b) => a.time - b.time);
+  if (merged.length > MAX_MESSAGES_PER_ROOM) {
+    merged.splice(0, merged.length - MAX_MESSAGES_PER_ROOM).forEach(releaseMessageAttachments);
+  }
+  roomMessages.set(roomName, merged);
+  persistMessages(roomName);
+  applyRetention(roomName);
+  if (added.length > 0) {
+    io.to(roomName).emit('system', `${added.length}件のメッセージがインポートされました。再読み込みすると表示されます。`);
+  }
+  return { imported: added.length, skipped: imported.length - added.length };
+}
+
+function resetRoomPassword(name, password) {
+  const roomName = sanitizeRoomName(name);
+  const info = roomDirectory.get(roomName);
+  if (!info) {
+    throw new Error('Room not found.');
+  }
+  const newPassword = normalizeRoomPassword(password);
+  if (!newPassword) {
+    throw new Error('新しいパスワードを入力してください。');
+  }
+  roomDirectory.set(roomName, { ...info, passwordHash: hashPassword(newPassword) });
+  persistRoom(roomName);
+}
+
+// Rules are rewritten the way normalizeIp rewrites client addresses: `::1` becomes 127.0.0.1 and
+// IPv4-mapped IPv6 addresses and ranges (`::ffff:…/96` and longer) become plain IPv4, so they still match.
+function normalizeIpRule(value) {
+  const parsed = parseIpRule(value);
+  if (!parsed || parsed.family !== 'ipv6') {
+    return typeof value === 'string' ? value.trim() : '';
+  }
+  const address = normalizeIp(parsed.address);
+  if (address === parsed.address || !parseIpRule(address)) {
+    return parsed.rule;
+  }
+  if (parsed.prefix === null) {
+    return address;
+  }
+  if (parsed.address === '::1') {
+    return parsed.prefix === 128 ? `${address}/32` : parsed.rule;
+  }
+  return parsed.prefix >= 96 ? `${address}/${parsed.prefix - 96}` : parsed.rule;
+}
+
+// A missing or zero duration blocks until the entry is removed.
+function parseBlockExpiry(duration) {
+  if (duration === undefined || duration === null || duration === '' || Number(duration) === 0) {
+    return null;
+  }
+  const value = Number(duration);
+  if (!Number.isInteger(value) || value < 0 || value > MAX_IP_BLOCK_MS) {
+    throw new Error('ブロックの期間が正しくありません。');
+  }
+  return Date.now() + value;
+}
+
+function blockIpInRoom(name, ip, { note, duration } = {}) {
+  const roomName = sanitizeRoomName(name);
+  if (!roomDirectory.has(roomName)) {
+    throw new Error('Room not found.');
+  }
+  const blocked = roomBlockedIps.get(roomName);
+  const entry = blocked.add(normalizeIpRule(ip), { note, expiresAt: parseBlockExpiry(duration) });
+  persistBlockedIps(roomName);
+
+  const sockets = roomSockets.get(roomName);
+  if (sockets) {
+    Array.from(sockets).forEach((socketId) => {
+      const client = io.sockets.sockets.get(socketId);
+      if (!client) return;
+      if (blocked.has(getClientIp(client))) {
+        removeSocketFromRoom(client, roomName, { notifyOthers: true });
+        client.emit('room-blocked', { room: roomName, ip: entry.rule });
+      }
+    });
+  }
+}
+
+function unblockIpInRoom(name, ip) {
+  const roomName = sanitizeRoomName(name);
+  if (!roomDirectory.has(roomName)) {
+    throw new Error('Room not found.');
+  }
+  const rule = normalizeIpRule(ip);
+  if (!rule) {
+    throw new Error('IPアドレスを入力してください。');
+  }
+  if (!roomBlockedIps.get(roomName).remove(rule)) {
+    throw new Error('指定されたIPアドレスはブロックされていません。');
+  }
+  persistBlockedIps(roomName);
+}
+
+// Block an address or range server-wide and drop every connection that comes from it.
+function blockIpGlobally(ip, { note, duration } = {}) {
+  globalBlockedIps.add(normalizeIpRule(ip), { note, expiresAt: parseBlockExpiry(duration) });
+  persistGlobalBlockedIps();
+  io.sockets.sockets.forEach((client) => {
+    if (globalBlockedIps.has(getClientIp(client))) {
+      client.emit('ip-blocked');
+      client.disconnect(true);
+    }
+  });
+}
+
+function unblockIpGlobally(ip) {
+  const rule = normalizeIpRule(ip);
+  if (!rule) {
+    throw new Error('IPアドレスを入力してください。');
+  }
+  if (!globalBlockedIps.remove(rule)) {
+    throw new Error('指定されたIPアドレスはブロックされていません。');
+  }
+  persistGlobalBlockedIps();
+}
+
+// Admins pick a member by account ID, or by username for someone who is not in the room right now.
+function resolveModerationTarget(name, { memberId, username } = {}) {
+  const roomName = sanitizeRoomName(name);
+  if (!roomDirectory.has(roomName)) {
+    throw new Error('Room not found.');
+  }
+  const account = typeof memberId === 'string' && memberId
+    ? accounts.get(memberId)
+    : findAccountByUsername(typeof username === 'string' ? username.trim() : '');
+  if (!account) {
+    throw new Error('指定されたユーザーが見つかりません。');
+  }
+  return { roomName, account };
+}
+
+function parseRestrictionDuration(value, max, error) {
+  const duration = Number(value);
+  if (!Number.isInteger(duration) || duration <= 0 || duration > max) {
+    throw new Error(error);
+  }
+  return Date.now() + duration;
+}
+
+function kickMemberAsAdmin(name, target) {
+  const { roomName, account } = resolveModerationTarget(name, target);
+  const user = kickFromRoom(roomName, account.id);
+  if (!user) {
+    throw new Error('このユーザーはルームに参加していません。');
+  }
+  io.to(roomName).emit('system', `${user} が管理者によって退出させられました。`);
+}
+
+function muteMemberAsAdmin(name, target, duration) {
+  const { roomName, account } = resolveModerationTarget(name, target);
+  setRoomMute(roomName, account.id, parseRestrictionDuration(duration, MAX_ROOM_MUTE_MS, 'ミュートの期間が正しくありません。'));
+}
+
+function unmuteMemberAsAdmin(name, target) {
+  const { roomName, account } = resolveModerationTarget(name, target);
+  if (!getMutedUntil(roomName, account.id)) {
+    throw new Error('このユーザーはミュートされていません。');
+  }
+  setRoomMute(roomName, account.id, null);
+}
+
+function banMemberAsAdmin(name, target, duration) {
+  const { roomName, account } = resolveModerationTarget(name, target);
+  const until = parseRestrictionDuration(duration, MAX_ROOM_BAN_MS, '参加禁止の期間が正しくありません。');
+  const user = setRoomBan(roomName, account.id, until);
+  if (user) {
+    io.to(roomName).emit('system', `${user} は管理者によってルームへの参加を禁止されました。`);
+  }
+}
+
+function unbanMemberAsAdmin(name, target) {
+  const { roomName, account } = resolveModerationTarget(name, target);
+  if (!getBannedUntil(roomName, account.id)) {
+    throw new Error('このユーザーは参加を禁止されていません。');
+  }
+  setRoomBan(roomName, account.id, null);
+}
+
+loadPersistedState();
+
+DEFAULT_ROOMS.forEach(({ name, password }) => {
+  if (!roomDirectory.has(name)) {
+    try {
+      createRoom(name, password);
+    } catch (error) {
+      console.error('Failed to create default room', name, error);
+    }
+  }
+});
+
+function authenticateAdmin(req, res, next) {
+  const token = req.headers['x-admin-token'];
+  if (!token || !adminSessions.has(token)) {
+    return res.status(401).json({ ok: false, error: '認証が必要です。' });
+  }
+  return next();
+}
+
+function authenticateAccount(req, res, next) {
+  const session = resolveAccountSession(req.headers['x-session-token']);
+  if (!session) {
+    return res.status(401).json({ ok: false, error: 'ログインが必要です。' });
+  }
+  req.accountSession = session;
+  return next();
+}
+
+app.post('/api/accounts/register', limitRequests('register'), (req, res) => {
+  try {
+    const account = registerAccount(req.body || {});
+    const token = createAccountSession(account.id);
+    res.status(201).json({ ok: true, token, account: toPublicAccount(account) });
+  } catch (error) {
+    res.status(400).json({ ok: false, error: error.message });
+  }
+});
+
+app.post('/api/accounts/login', limitRequests('login'), async (req, res) => {
+  const clientIp = getRequestIp(req);
+  const lockedFor = accountLoginThrottle.getRetryAfter(clientIp);
+  if (lockedFor) {
+    return sendLoginLocked(res, lockedFor);
+  }
+  const { username, password } = req.body || {};
+  const account = findAccountByUsername(username);
+  const valid = await verifyPassword(password, account ? account.passwordHash : UNKNOWN_ACCOUNT_HASH);
+  if (!account || !valid) {
+    const retryAfter = accountLoginThrottle.recordFailure(clientIp);
+    if (retryAfter) {
+      return sendLoginLocked(res, retryAfter);
+    }
+    return res.status(401).json({ ok: false, error: 'ユーザーIDまたはパスワードが違います。' });
+  }
+  accountLoginThrottle.recordSuccess(clientIp);
+  const token = createAccountSession(account.id);
+  res.json({ ok: true, token, account: toPublicAccount(account) });
+});
+
+app.post('/api/accounts/logout', authenticateAccount, (req, res) => {
+  revokeAccountSession(req.accountSession.key);
+  res.json({ ok: true });
+});
+
+app.get('/api/accounts/me', authenticateAccount, (req, res) => {
+  res.json({ ok: true, account: toPublicAccount(req.accountSession.account) });
+});
+
+app.put('/api/accounts/me', authenticateAccount, (req, res) => {
+  const body = req.body || {};
+  const updates = {};
+  try {
+    if (Object.prototype.hasOwnProperty.call(body, 'displayName')) {
+      updates.user = sanitizeDisplayName(body.displayName);
+    }
+    if (Object.prototype.hasOwnProperty.call(body, 'icon')) {
+      const icon = body.icon === null ? null : sanitizeIconDataUrl(body.icon);
+      if (body.icon !== null && !icon) {
+        throw new Error('アイコンの形式またはサイズがサポートされていません。');
+      }
+      updates.icon = icon;
+    }
+  } catch (error) {
+    return res.status(400).json({ ok: false, error: error.message });
+  }
+  const account = updateAccountProfile(req.accountSession.account.id, updates);
+  res.json({ ok: true, account: toPublicAccount(account) });
+});
+
+app.put('/api/accounts/me/notifications', authenticateAccount, (req, res) => {
+  const body = req.body || {};
+  const roomName = sanitizeRoomName(body.room);
+  if (!roomDirectory.has(roomName)) {
+    return res.status(404).json({ ok: false, error: 'ルームが見つかりません。' });
+  }
+  let preference;
+  try {
+    preference = sanitizeNotificationPreference(body);
+  } catch (error) {
+    return res.status(400).json({ ok: false, error: error.message });
+  }
+  const account = setNotificationPreference(req.accountSession.account.id, roomName, preference);
+  res.json({ ok: true, account: toPublicAccount(account) });
+});
+
+app.get('/api/rooms', (req, res) => {
+  res.json({ rooms: getPublicRooms() });
+});
+
+app.post('/api/rooms', authenticateAccount, limitRequests('create-room'), (req, res) => {
+  const { name, password, retention } = req.body || {};
+  try {
+    const created = createRoom(name, password, retention, { ownerId: req.accountSession.account.id });
+    res.status(201).json({ ok: true, room: created, rooms: getPublicRooms() });
+  } catch (error) {
+    res.status(400).json({ ok: false, error: error.message });
+  }
+});
+
+// Delivery path for messages queued while offline; the service worker posts them here via Background Sync.
+app.post('/api/rooms/:name/messages', authenticateAccount, limitRequests('message', getRequestAccountId), (req, res) => {
+  const roomName = sanitizeRoomName(req.params.name);
+  const { account } = req.accountSession;
+  const pass = resolveRoomPass(req, roomName, account.id);
+  if (!pass) {
+    return res.status(403).json({ ok: false, error: 'このルームに投稿するには、もう一度参加してください。' });
+  }
+  if (getMutedUntil(roomName, account.id)) {
+    return res.status(403).json({ ok: false, error: MUTED_ERROR });
+  }
+  if (roomBlockedIps.get(roomName)?.has(getRequestIp(req))) {
+    return res.status(403).json({ ok: false, error: 'このIPアドレスからの参加はブロックされています。' });
+  }
+  const body = req.body || {};
+  const clientId = sanitizeClientId(body.clientId);
+  if (!clientId) {
+    return res.status(400).json({ ok: false, error: 'メッセージIDが正しくありません。' });
+  }
+  const duplicate = findMessageByClientId(roomName, account.id, clientId);
+  if (duplicate) {
+    return res.json({ ok: true, duplicate: true, message: duplicate });
+  }
+  const text = typeof body.text === 'string' ? body.text.trim() : '';
+  if (!text) {
+    return res.status(400).json({ ok: false, error: 'メッセージを入力してください。' });
+  }
+  let replyTo;
+  if (body.replyTo !== undefined && body.replyTo !== null) {
+    const parent = findRoomMessage(roomName, body.replyTo);
+    if (!parent || parent.deleted) {
+      return res.status(400).json({ ok: false, error: '返信先のメッセージが見つかりません。' });
+    }
+    replyTo = buildReplyPreview(parent);
+  }
+  const message = {
+    id: safeRandomUUID(),
+    memberId: account.id,
+    user: pass.user,
+    time: Date.now(),
+    text,
+    clientId,
+  };
+  if (account.icon) message.icon = account.icon;
+  if (replyTo) message.replyTo = replyTo;
+  const mentions = findMentions(roomName, text);
+  if (mentions.length) message.mentions = mentions;
+  publishRoomMessage(roomName, message);
+  res.status(201).json({ ok: true, message });
+});
+
+app.get('/api/rooms/:name/messages/search', authenticateAccount, (req, res) => {
+  const roomName = sanitizeRoomName(req.params.name);
+  if (!resolveRoomPass(req, roomName, req.accountSession.account.id)) {
+    return res.status(403).json({ ok: false, error: 'このルームを検索するには、もう一度参加してください。' });
+  }
+  const criteria = parseSearchCriteria(req.query);
+  if (!criteria) {
+    return res.status(400).json({ ok: false, error: '検索条件を入力してください。' });
+  }
+  const limit = req.query.limit !== undefined ? Number(req.query.limit) : undefined;
+  const { results, hasMore } = searchRoomMessages(roomName, criteria, { before: req.query.before, limit });
+  res.json({ ok: true, room: roomName, results, hasMore });
+});
+
+app.get('/api/push/public-key', (req, res) => {
+  res.json({ ok: true, publicKey: webPush.publicKey });
+});
+
+// Register this browser for push notifications of a room the member has joined.
+app.post('/api/push/subscriptions', authenticateAccount, (req, res) => {
+  const { key: sessionKey, account } = req.accountSession;
+  const body = req.body || {};
+  const roomName = sanitizeRoomName(body.room);
+  if (!resolveRoomPass(req, roomName, account.id)) {
+    return res.status(403).json({ ok: false, error: '通知を受け取るには、もう一度ルームに参加してください。' });
+  }
+  const subscription = body.subscription;
+  if (!isValidSubscription(subscription)) {
+    return res.status(400).json({ ok: false, error: '通知の購読情報が正しくありません。' });
+  }
+  const key = hashPushEndpoint(subscription.endpoint);
+  const existing = pushSubscriptions.get(key);
+  // A browser that switched accounts keeps its endpoint but must not inherit the previous account's rooms.
+  const rooms = existing && existing.accountId === account.id ? existing.rooms : [];
+  pushSubscriptions.set(key, {
+    accountId: account.id,
+    sessionKey,
+    endpoint: subscription.endpoint,
+    keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth },
+    rooms: rooms.includes(roomName) ? rooms : [...rooms, roomName],
+    createdAt: existing ? existing.createdAt : Date.now(),
+  });
+  persistPushSubscription(key);
+  res.status(existing ? 200 : 201).json({ ok: true });
+});
+
+app.delete('/api/push/subscriptions', authenticateAccount, (req, res) => {
+  const { endpoint } = req.body || {};
+  const key = typeof endpoint === 'string' ? hashPushEndpoint(endpoint) : null;
+  const subscription = key ? pushSubscriptions.get(key) : null;
+  if (!subscription || subscription.accountId !== req.accountSession.account.id) {
+    return res.status(404).json({ ok: false, error: '通知の購読が見つかりません。' });
+  }
+  pushSubscriptions.delete(key);
+  persistPushSubscription(key);
+  res.json({ ok: true });
+});
+
+app.post('/api/admin/login', limitRequests('login'), async (req, res) => {
+  const clientIp = getRequestIp(req);
+  const lockedFor = adminLoginThrottle.getRetryAfter(clientIp);
+  if (lockedFor) {
+    return sendLoginLocked(res, lockedFor);
+  }
+  const { password } = req.body || {};
+  const valid = await verifyPassword(password, ADMIN_PASSWORD_HASH);
+  if (!valid) {
+    const retryAfter = adminLoginThrottle.recordFailure(clientIp);
+    if (retryAfter) {
+      return sendLoginLocked(res, retryAfter);
+    }
+    return res.status(401).json({ ok: false, error: 'パスワードが違います。' });
+  }
+  adminLoginThrottle.recordSuccess(clientIp);
+  const token = safeRandomUUID();
+  adminSessions.set(token, { createdAt: Date.now() });
+  res.json({ ok: true, token, rooms: getAdminRooms() });
+});
+
+app.post('/api/admin/logout', authenticateAdmin, (req, res) => {
+  const token = req.headers['x-admin-token'];
+  adminSessions.delete(token);
+  res.json({ ok: true });
+});
+
+app.get('/api/admin/rooms', authenticateAdmin, (req, res) => {
+  res.json({ rooms: getAdminRooms() });
+});
+
+app.post('/api/admin/rooms', authenticateAdmin, (req, res) => {
+  const { name, password, retention } = req.body || {};
+  try {
+    const created = createRoom(name, password, retention);
+    res.status(201).json({ ok: true, room: created, rooms: getAdminRooms() });
+  } catch (error) {
+    res.status(400).json({ ok: false, error: error.message });
+  }
+});
+
+app.delete('/api/admin/rooms/:name', authenticateAdmin, (req, res) => {
+  const { name } = req.params;
+  try {
+    deleteRoom(name);
+    res.json({ ok: true, rooms: getAdminRooms() });
+  } catch (error) {
+    res.status(400).json({ ok: false, error: error.message });
+  }
+});
+
+app.put('/api/admin/rooms/:name/retention', authenticateAdmin, (req, res) => {
+  const { name } = req.params;
+  const { retention } = req.body || {};
+  try {
+    setRoomRetention(name, retention);
+    res.json({ ok: true, rooms: getAdminRooms() });
+  } catch (error) {
+    res.status(400).json({ ok: false, error: error.message });
+  }
+});
+
+app.get('/api/admin/rooms/:name/export', authenticateAdmin, (req, res) => {
+  const format = typeof req.query.format === 'string' ? req.query.format : 'json';
+  const timeZone = typeof req.query.timeZone === 'string' ? req.query.timeZone : undefined;
+  let exported;
+  try {
+    exported = exportRoomHistory(req.params.name, format, { timeZone });
+  } catch (error) {
+    return res.status(400).json({ ok: false, error: error.message });
+  }
+  const date = new Date().toISOString().slice(0, 10);
+  res.attachment(`${exported.roomName}-${date}.${format}`);
+  res.send(exported.body);
+});
+
+app.post('/api/admin/rooms/:name/import', authenticateAdmin, (req, res) => {
+  try {
+    const result = importRoomHistory(req.params.name, req.body);
+    res.json({ ok: true, ...result, rooms: getAdminRooms() });
+  } catch (error) {
+    res.status(400).json({ ok: false, error: error.message });
+  }
+});
+
+app.post('/api/admin/rooms/:name/password', authenticateAdmin, (req, res) => {
+  const { name } = req.params;
+  const { password } = req.body || {};
+  try {
+    resetRoomPassword(name, password);
+    res.json({ ok: true, rooms: getAdminRooms() });
+  } catch (error) {
+    res.status(400).json({ ok: false, error: error.message });
+  }
+});
+
+app.post('/api/admin/rooms/:name/block-ip', authenticateAdmin, (req, res) => {
+  const { name } = req.params;
+  const { ip, note, duration } = req.body || {};
+  try {
+    blockIpInRoom(name, ip, { note, duration });
+    res.json({ ok: true, rooms: getAdminRooms() });
+  } catch (error) {
+    res.status(400).json({ ok: false, error: error.message });
+  }
+});
+
+app.delete('/api/admin/rooms/:name/block-ip', authenticateAdmin, (req, res) => {
+  const { name } = req.params;
+  const { ip } = req.body || {};
+  try {
+    unblockIpInRoom(name, ip);
+    res.json({ ok: true, rooms: getAdminRooms() });
+  } catch (error) {
+    res.status(400).json({ ok: false, error: error.message });
+  }
+});
+
+app.get('/api/admin/blocklist', authenticateAdmin, (req, res) => {
+  res.json({ ok: true, blocklist: globalBlockedIps.list() });
+});
+
+app.post('/api/admin/blocklist', authenticateAdmin, (req, res) => {
+  const { ip, note, duration } = req.body || {};
+  try {
+    blockIpGlobally(ip, { note, duration });
+    res.json({ ok: true, blocklist: globalBlockedIps.list() });
+  } catch (error) {
+    res.status(400).json({ ok: false, error: error.message });
+  }
+});
+
+app.delete('/api/admin/blocklist', authenticateAdmin, (req, res) => {
+  const { ip } = req.body || {};
+  try {
+    unblockIpGlobally(ip);
+    res.json({ ok: true, blocklist: globalBlockedIps.list() });
+  } catch (error) {
+    res.status(400).json({ ok: false, error: error.message });
+  }
+});
+
+app.post('/api/admin/rooms/:name/kick', authenticateAdmin, (req, res) => {
+  try {
+    kickMemberAsAdmin(req.params.name, req.body || {});
+    res.json({ ok: true, rooms: getAdminRooms() });
+  } catch (error) {
+    res.status(400).json({ ok: false, error: error.message });
+  }
 });
 
-app.post('/api/admin/rooms', authenticateAdmin, (req, res) => {
-  const { name, password } = req.body || {};
+app.post('/api/admin/rooms/:name/mute', authenticateAdmin, (req, res) => {
+  const { duration } = req.body || {};
   try {
-    const created = createRoom(name, password);
-    res.status(201).json({ ok: true, room: created, rooms: getAdminRooms() });
+    muteMemberAsAdmin(req.params.name, req.body || {}, duration);
+    res.json({ ok: true, rooms: getAdminRooms() });
   } catch (error) {
     res.status(400).json({ ok: false, error: error.message });
   }
 });
 
-app.delete('/api/admin/rooms/:name', authenticateAdmin, (req, res) => {
-  const { name } = req.params;
+app.delete('/api/admin/rooms/:name/mute', authenticateAdmin, (req, res) => {
   try {
-    deleteRoom(name);
+    unmuteMemberAsAdmin(req.params.name, req.body || {});
     res.json({ ok: true, rooms: getAdminRooms() });
   } catch (error) {
     res.status(400).json({ ok: false, error: error.message });
   }
 });
 
-app.post('/api/admin/rooms/:name/block-ip', authenticateAdmin, (req, res) => {
-  const { name } = req.params;
-  const { ip } = req.body || {};
+app.post('/api/admin/rooms/:name/ban', authenticateAdmin, (req, res) => {
+  const { duration } = req.body || {};
   try {
-    blockIpInRoom(name, ip);
+    banMemberAsAdmin(req.params.name, req.body || {}, duration);
     res.json({ ok: true, rooms: getAdminRooms() });
   } catch (error) {
     res.status(400).json({ ok: false, error: error.message });
   }
 });
 
-app.delete('/api/admin/rooms/:name/block-ip', authenticateAdmin, (req, res) => {
-  const { name } = req.params;
-  const { ip } = req.body || {};
+app.delete('/api/admin/rooms/:name/ban', authenticateAdmin, (req, res) => {
   try {
-    unblockIpInRoom(name, ip);
+    unbanMemberAsAdmin(req.params.name, req.body || {});
     res.json({ ok: true, rooms: getAdminRooms() });
   } catch (error) {
     res.status(400).json({ ok: false, error: error.message });
   }
 });
 
+function handleUploadError(error, req, res, next) {
+  if (error && error.type === 'entity.too.large') {
+    return res.status(413).json({ ok: false, error: 'ファイルサイズが大きすぎます。' });
+  }
+  return next(error);
+}
+
+// Runs before the body parser so that uploads without a valid token are refused before their body is read.
+function requireUploader(req, res, next) {
+  const uploader = getUploader(req);
+  if (!uploader) {
+    return res.status(401).json({ ok: false, error: 'ルームに参加してからアップロードしてください。' });
+  }
+  req.uploader = uploader;
+  return next();
+}
+
+app.post(
+  '/api/attachments',
+  requireUploader,
+  express.raw({ type: () => true, limit: MAX_ATTACHMENT_BYTES }),
+  (req, res) => {
+    const { uploader } = req;
+    const mime = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const isVoice = VOICE_MESSAGE_TYPES.includes(mime);
+    if (!ALLOWED_ATTACHMENT_TYPES.includes(mime) && !isVoice) {
+      return res.status(415).json({ ok: false, error: 'この形式のファイルは添付できません。' });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ ok: false, error: 'ファイルが空です。' });
+    }
+    let duration;
+    if (isVoice) {
+      if (req.body.length > MAX_VOICE_BYTES) {
+        return res.status(413).json({
+          ok: false,
+          error: `音声メッセージは${MAX_VOICE_BYTES / 1024 / 1024}MBまでです。`,
+        });
+      }
+      // Reported by the client and only used to label the player; the byte cap above is the enforced limit.
+      duration = Number(req.headers['x-audio-duration']);
+      if (!Number.isFinite(duration) || duration <= 0) {
+        return res.status(400).json({ ok: false, error: '音声メッセージの長さが不明です。' });
+      }
+    }
+    const id = safeRandomUUID();
+    const info = {
+      id,
+      room: uploader.room,
+      uploadedBy: uploader.socketId,
+      name: sanitizeAttachmentName(req.headers['x-file-name']),
+      mime,
+      size: req.body.length,
+      createdAt: Date.now(),
+      attached: false,
+      thumbnail: false,
+    };
+    if (isVoice) {
+      info.kind = 'voice';
+      info.duration = Math.round(Math.min(duration, MAX_VOICE_DURATION_MS));
+    }
+    try {
+      attachmentFiles.write(id, req.body);
+    } catch (error) {
+      console.error('Failed to store attachment', error);
+      return res.status(500).json({ ok: false, error: 'ファイルを保存できませんでした。' });
+    }
+    attachments.set(id, info);
+    persistAttachment(id);
+    return res.status(201).json({ ok: true, attachment: toPublicAttachment(info) });
+  },
+  handleUploadError,
+);
+
+app.post(
+  '/api/attachments/:id/thumbnail',
+  requireUploader,
+  express.raw({ type: () => true, limit: MAX_THUMBNAIL_BYTES }),
+  (req, res) => {
+    const { uploader } = req;
+    const info = attachments.get(req.params.id);
+    if (!info || info.uploadedBy !== uploader.socketId || info.attached) {
+      return res.status(404).json({ ok: false, error: '添付ファイルが見つかりません。' });
+    }
+    const mime = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (!info.mime.startsWith('image/') || !THUMBNAIL_TYPES.includes(mime)) {
+      return res.status(415).json({ ok: false, error: 'サムネイルの形式がサポートされていません。' });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ ok: false, error: 'サムネイルが空です。' });
+    }
+    try {
+      attachmentFiles.write(info.id, req.body, { thumbnail: true });
+    } catch (error) {
+      console.error('Failed to store thumbnail', error);
+      return res.status(500).json({ ok: false, error: 'サムネイルを保存できませんでした。' });
+    }
+    info.thumbnail = true;
+    info.thumbnailMime = mime;
+    persistAttachment(info.id);
+    return res.json({ ok: true, attachment: toPublicAttachment(info) });
+  },
+  handleUploadError,
+);
+
+function sendAttachment(req, res, { thumbnail = false } = {}) {
+  const info = attachments.get(req.params.id);
+  if (!info || !info.attached || (thumbnail && !info.thumbnail) || !canViewAttachment(req, info)) {
+    return res.status(404).json({ ok: false, error: '添付ファイルが見つかりません。' });
+  }
+  res.set('X-Content-Type-Options', 'nosniff');
+  res.type(thumbnail ? info.thumbnailMime : info.mime);
+  if (!thumbnail) {
+    // Only images and voice messages are rendered inline; everything else is always downloaded.
+    const disposition = info.mime.startsWith('image/') || info.kind === 'voice' ? 'inline' : 'attachment';
+    res.set('Content-Disposition', `${disposition}; filename*=UTF-8''${encodeURIComponent(info.name)}`);
+  }
+  return res.sendFile(attachmentFiles.resolvePath(info.id, { thumbnail }));
+}
+
+app.get('/api/attachments/:id', (req, res) => sendAttachment(req, res));
+
+app.get('/api/attachments/:id/thumbnail', (req, res) => sendAttachment(req, res, { thumbnail: true }));
+
 function broadcastParticipants(room) {
   const participants = callParticipants.get(room);
   const payload = participants ? Array.from(participants.values()) : [];
@@ -362,20 +2398,76 @@ function broadcastParticipants(room) {
 function emitRoomUsers(room) {
   const members = roomMembers.get(room);
   const payload = members
-    ? Array.from(members.values()).map(({ id, user, icon }) => ({
+    ? Array.from(members.values()).map(({ id, memberId, user, icon }) => ({
         id,
+        memberId,
         user,
         icon: icon ?? null,
+        role: getRoomRole(room, memberId),
+        mutedUntil: getMutedUntil(room, memberId),
       }))
     : [];
   io.to(room).emit('room-users', payload);
 }
 
+io.use((socket, next) => {
+  if (globalBlockedIps.has(getClientIp(socket))) {
+    const error = new Error(IP_BLOCKED_ERROR);
+    error.data = { code: 'ip-blocked' };
+    return next(error);
+  }
+  return next();
+});
+
+// Every socket belongs to a logged-in account; the session token travels in the handshake auth payload.
+io.use((socket, next) => {
+  const session = resolveAccountSession(socket.handshake.auth?.token);
+  if (!session) {
+    const error = new Error('ログインが必要です。');
+    error.data = { code: 'unauthorized' };
+    return next(error);
+  }
+  socket.data.accountId = session.account.id;
+  socket.data.sessionKey = session.key;
+  return next();
+});
+
+// <img> and <audio> cannot send the upload token, so the Socket.IO handshake hands the browser a cookie
+// that attachment downloads are matched against.
+io.engine.on('initial_headers', (headers, req) => {
+  let key = readCookie(req, ATTACHMENT_ACCESS_COOKIE);
+  if (!/^[0-9a-f]{48}$/.test(key || '')) {
+    key = crypto.randomBytes(24).toString('hex');
+    headers['set-cookie'] = `${ATTACHMENT_ACCESS_COOKIE}=${key}; Path=/; HttpOnly; SameSite=Strict`;
+  }
+  req.attachmentAccessKey = key;
+});
+
 io.on('connection', (socket) => {
   console.log('a user connected:', socket.id);
+  socket.data.attachmentAccessKey = socket.request.attachmentAccessKey;
+
+  // Flood protection for every event with a rate limit. Rejections go to the acknowledgement callback
+  // when there is one; otherwise the client gets one system message per burst.
+  socket.use(([event, ...args], next) => {
+    const key = IP_RATE_LIMITED_EVENTS.has(event) ? getClientIp(socket) : socket.id;
+    const { ok, retryAfterMs, notify } = rateLimiter.consume(event, key);
+    if (ok) {
+      next();
+      return;
+    }
+    const error = `操作が多すぎます。${formatRetryAfter(retryAfterMs)}`;
+    const callback = args[args.length - 1];
+    if (typeof callback === 'function') {
+      callback({ ok: false, error, retryAfter: retryAfterMs });
+    } else if (notify) {
+      socket.emit('system', error);
+    }
+  });
 
   // Create a room within the same socket context so the directory stays in sync.
-  socket.on('create-room', (payload = {}, callback) => {
+  socket.on('create-room', (rawPayload, callback) => {
+    const payload = toPayload(rawPayload);
     const roomName = sanitizeRoomName(payload.name);
     const password = typeof payload.password === 'string' ? payload.password : '';
 
@@ -387,7 +2479,7 @@ io.on('connection', (socket) => {
     }
 
     try {
-      const created = createRoom(roomName, password);
+      const created = createRoom(roomName, password, payload.retention, { ownerId: socket.data.accountId });
       if (typeof callback === 'function') {
         callback({ ok: true, room: created, rooms: getPublicRooms() });
       }
@@ -399,11 +2491,16 @@ io.on('connection', (socket) => {
   });
 
   // Join a room for group chat.
-  socket.on('join', (payload = {}, maybeCallback) => {
+  socket.on('join', async (rawPayload, maybeCallback) => {
+    const payload = toPayload(rawPayload);
     const callback = typeof maybeCallback === 'function' ? maybeCallback : undefined;
     const roomName = sanitizeRoomName(payload.room);
     const password = typeof payload.password === 'string' ? payload.password : undefined;
-    const rawName = typeof payload.user === 'string' ? payload.user.trim() : '';
+    const account = accounts.get(socket.data.accountId);
+    if (!account) {
+      if (callback) callback({ ok: false, error: 'ログインが必要です。' });
+      return;
+    }
     if (!roomName) {
       if (callback) callback({ ok: false, error: 'ルーム名を入力してください。' });
       return;
@@ -413,30 +2510,36 @@ io.on('connection', (socket) => {
       if (callback) callback({ ok: false, error: '指定されたルームは存在しません。' });
       return;
     }
-    const clientIp = getClientIp(socket);
-    const blockedIps = roomBlockedIps.get(roomName);
-    if (clientIp && blockedIps && blockedIps.has(clientIp)) {
+    if (roomBlockedIps.get(roomName)?.has(getClientIp(socket))) {
       if (callback) callback({ ok: false, error: 'このIPアドレスからの参加はブロックされています。' });
       return;
     }
-    if (roomInfo.password !== password) {
-      if (callback) callback({ ok: false, error: 'パスワードが違います。' });
+    const bannedUntil = getBannedUntil(roomName, account.id);
+    if (bannedUntil) {
+      if (callback) callback({ ok: false, error: 'このルームへの参加は禁止されています。', bannedUntil });
       return;
     }
-    if (!rawName) {
-      if (callback) callback({ ok: false, error: 'ユーザー名を入力してください。' });
+    const passwordMatches = await verifyPassword(normalizeRoomPassword(password), roomInfo.passwordHash);
+    if (!passwordMatches) {
+      if (callback) callback({ ok: false, error: 'パスワードが違います。' });
       return;
     }
 
-    const icon = Object.prototype.hasOwnProperty.call(payload, 'icon')
-      ? sanitizeIconDataUrl(payload.icon)
-      : null;
+    const icon = account.icon ?? null;
 
     if (!ensureRoom(roomName)) {
       if (callback) callback({ ok: false, error: 'ルームへの参加に失敗しました。' });
       return;
     }
 
+    // A fresh join (e.g. after a reload) replaces any of this account's sockets still waiting to resume.
+    disconnectedMembers.forEach((pending, pendingId) => {
+      const pendingProfile = userProfiles.get(pendingId);
+      if (pendingProfile && pendingProfile.room === roomName && pendingProfile.accountId === account.id) {
+        finalizeDisconnect(pendingId, { notifyOthers: false });
+      }
+    });
+
     const ids = roomSockets.get(roomName);
     const members = roomMembers.get(roomName);
 
@@ -445,13 +2548,14 @@ io.on('connection', (socket) => {
       return;
     }
 
+    const rawName = resolveRoomDisplayName(roomName, account.displayName, account.id);
     ids.add(socket.id);
     socket.join(roomName);
 
-    const profile = { user: rawName, icon, room: roomName };
+    const profile = { user: rawName, icon, room: roomName, accountId: account.id };
     userProfiles.set(socket.id, profile);
 
-    members.set(socket.id, { id: socket.id, user: rawName, icon });
+    members.set(socket.id, { id: socket.id, memberId: account.id, user: rawName, icon });
 
     // Notify others with a friendlier name when available
     socket.to(roomName).emit('system', `${rawName} joined ${roomName}`);
@@ -460,9 +2564,186 @@ io.on('connection', (socket) => {
     socket.emit('call-participants', participants ? Array.from(participants.values()) : []);
     emitRoomUsers(roomName);
 
-    const history = roomMessages.get(roomName) || [];
+    const { messages, hasMore } = getHistoryPage(roomName);
+
+    if (callback) {
+      callback({
+        ok: true,
+        room: roomName,
+        user: rawName,
+        memberId: account.id,
+        icon,
+        messages,
+        hasMore,
+        readPositions: getReadPositions(roomName),
+        role: getRoomRole(roomName, account.id),
+        mutedUntil: getMutedUntil(roomName, account.id),
+        uploadToken: issueUploadToken(socket.id),
+        resumeToken: issueResumeToken(socket.id, roomName, account.id),
+        roomPass: issueRoomPass(account.id, roomName, rawName),
+      });
+    }
+  });
+
+  // Reclaim the membership of a socket that dropped within the grace window.
+  socket.on('resume', (rawPayload, maybeCallback) => {
+    const payload = toPayload(rawPayload);
+    const callback = typeof maybeCallback === 'function' ? maybeCallback : () => {};
+    const token = typeof payload.token === 'string' ? payload.token : '';
+    const session = resumeSessions.get(token);
+    const pending = session ? disconnectedMembers.get(session.socketId) : undefined;
+    if (!session || !pending || session.accountId !== socket.data.accountId || !roomDirectory.has(session.room)) {
+      callback({ ok: false, error: '接続が切れている間にルームから退出しました。' });
+      return;
+    }
+    const { room } = session;
+    if (roomBlockedIps.get(room)?.has(getClientIp(socket))) {
+      finalizeDisconnect(session.socketId);
+      callback({ ok: false, error: 'このIPアドレスからの参加はブロックされています。' });
+      return;
+    }
+    const current = userProfiles.get(socket.id);
+    if (current?.room) {
+      removeSocketFromRoom(socket, current.room, { notifyOthers: true });
+    }
+    clearTimeout(pending.timer);
+    disconnectedMembers.delete(session.socketId);
+    resumeSessions.delete(token);
+    transferMembership(session.socketId, socket.id, room);
+    socket.join(room);
+
+    const profile = userProfiles.get(socket.id);
+    const { messages, hasMore, reset } = getMissedMessages(room, {
+      after: payload.after,
+      since: pending.disconnectedAt,
+    });
+    callback({
+      ok: true,
+      room,
+      user: profile.user,
+      memberId: profile.accountId,
+      icon: profile.icon ?? null,
+      messages,
+      hasMore,
+      reset,
+      readPositions: getReadPositions(room),
+      role: getRoomRole(room, profile.accountId),
+      mutedUntil: getMutedUntil(room, profile.accountId),
+      inCall: Boolean(callParticipants.get(room)?.has(socket.id)),
+      uploadToken: issueUploadToken(socket.id),
+      resumeToken: issueResumeToken(socket.id, room, profile.accountId),
+      roomPass: issueRoomPass(profile.accountId, room, profile.user),
+    });
+    emitRoomUsers(room);
+    broadcastParticipants(room);
+  });
+
+  // Advance the member's read position to a message that scrolled into view
+  socket.on('read', (rawPayload, maybeCallback) => {
+    const payload = toPayload(rawPayload);
+    const callback = typeof maybeCallback === 'function' ? maybeCallback : () => {};
+    const profile = userProfiles.get(socket.id);
+    const room = profile?.room;
+    if (!room) {
+      callback({ ok: false, error: 'ルームに参加していません。' });
+      return;
+    }
+    const message = findRoomMessage(room, payload.messageId);
+    if (!message) {
+      callback({ ok: false, error: 'メッセージが見つかりません。' });
+      return;
+    }
+    markRead(room, profile.accountId, message);
+    callback({ ok: true });
+  });
+
+  // Private message to another member of the current room, addressed by member ID
+  socket.on('direct-message', (rawPayload, maybeCallback) => {
+    const payload = toPayload(rawPayload);
+    const callback = typeof maybeCallback === 'function' ? maybeCallback : () => {};
+    const profile = userProfiles.get(socket.id);
+    const room = profile?.room;
+    if (!room) {
+      callback({ ok: false, error: 'ルームに参加していません。' });
+      return;
+    }
+    if (getMutedUntil(room, profile.accountId)) {
+      callback({ ok: false, error: MUTED_ERROR });
+      return;
+    }
+    const to = typeof payload.to === 'string' ? payload.to.trim() : '';
+    const text = typeof payload.text === 'string' ? payload.text.trim() : '';
+    if (!text) {
+      callback({ ok: false, error: 'メッセージを入力してください。' });
+      return;
+    }
+    if (!to || to === profile.accountId) {
+      callback({ ok: false, error: '送信先のユーザーを選択してください。' });
+      return;
+    }
+    const targetSockets = findRoomMemberSockets(room, to);
+    if (targetSockets.length === 0) {
+      callback({ ok: false, error: '送信先のユーザーはこのルームにいません。' });
+      return;
+    }
+    const message = {
+      id: safeRandomUUID(),
+      senderId: socket.id,
+      memberId: profile.accountId,
+      user: profile.user,
+      from: profile.user,
+      to: roomMembers.get(room).get(targetSockets[0]).user,
+      toMemberId: to,
+      text,
+      time: Date.now(),
+    };
+    if (profile.icon) message.icon = profile.icon;
+
+    const key = getDirectChannelKey(room, profile.accountId, to);
+    const history = directMessages.get(key) || [];
+    history.push(message);
+    if (history.length > MAX_DIRECT_MESSAGES_PER_CHANNEL) {
+      history.splice(0, history.length - MAX_DIRECT_MESSAGES_PER_CHANNEL);
+    }
+    directMessages.set(key, history);
+    if (roomDirectory.get(room)?.retention?.mode !== 'ephemeral') {
+      persistDirectMessages(key);
+    }
+
+    // Deliver only to the recipient and the sender's own sockets, never to the whole room.
+    const recipients = new Set([...targetSockets, ...findRoomMemberSockets(room, profile.accountId)]);
+    recipients.forEach((socketId) => {
+      io.to(socketId).emit('direct-message', message);
+    });
+    callback({ ok: true, message });
+  });
+
+  socket.on('direct-history', (rawPayload, maybeCallback) => {
+    const payload = toPayload(rawPayload);
+    const callback = typeof maybeCallback === 'function' ? maybeCallback : () => {};
+    const profile = userProfiles.get(socket.id);
+    const room = profile?.room;
+    const peer = typeof payload.with === 'string' ? payload.with.trim() : '';
+    if (!room || !peer) {
+      callback({ ok: false, error: 'ルームに参加していません。' });
+      return;
+    }
+    const history = directMessages.get(getDirectChannelKey(room, profile.accountId, peer)) || [];
+    callback({ ok: true, with: peer, messages: history });
+  });
 
-    if (callback) callback({ ok: true, room: roomName, messages: history });
+  // Fetch an older page of the current room's history
+  socket.on('history', (rawPayload, maybeCallback) => {
+    const payload = toPayload(rawPayload);
+    const callback = typeof maybeCallback === 'function' ? maybeCallback : () => {};
+    const profile = userProfiles.get(socket.id);
+    const room = profile?.room;
+    if (!room) {
+      callback({ ok: false, error: 'ルームに参加していません。' });
+      return;
+    }
+    const { messages, hasMore } = getHistoryPage(room, { before: payload.before, limit: payload.limit });
+    callback({ ok: true, room, messages, hasMore });
   });
 
   socket.on('leave-room', (maybeCallback) => {
@@ -473,25 +2754,50 @@ io.on('connection', (socket) => {
       callback({ ok: false, error: '現在参加しているルームがありません。' });
       return;
     }
+    revokeResumeTokens(socket.id);
+    revokeRoomPasses(profile.accountId, room);
+    removePushRoom(room, profile.accountId);
     removeSocketFromRoom(socket, room, { notifyOthers: true });
     callback({ ok: true, room });
   });
 
   // Chat message within a room
-  socket.on('message', (msg = {}) => {
+  socket.on('message', (rawMessage, maybeCallback) => {
+    const msg = toPayload(rawMessage);
+    const callback = typeof maybeCallback === 'function' ? maybeCallback : null;
+    // Senders that wait for an acknowledgement get the error there; others see it as a system message.
+    const reject = (error) => {
+      if (callback) {
+        callback({ ok: false, error });
+      } else {
+        socket.emit('system', error);
+      }
+    };
     const profile = userProfiles.get(socket.id);
     const room = profile?.room;
-    if (!room) {
+    const sockets = room ? roomSockets.get(room) : null;
+    if (!room || !sockets || !sockets.has(socket.id)) {
+      if (callback) callback({ ok: false, error: 'ルームに参加していません。' });
+      return;
+    }
+    if (getMutedUntil(room, profile.accountId)) {
+      reject(MUTED_ERROR);
       return;
     }
 
-    const sockets = roomSockets.get(room);
-    if (!sockets || !sockets.has(socket.id)) {
+    const clientId = sanitizeClientId(msg.clientId);
+    const duplicate = findMessageByClientId(room, profile.accountId, clientId);
+    if (duplicate) {
+      if (callback) callback({ ok: true, duplicate: true, message: duplicate });
       return;
     }
 
     const text = typeof msg.text === 'string' ? msg.text.trim() : '';
-    const location = msg.location && typeof msg.location === 'object' ? msg.location : undefined;
+    const location = msg.location === undefined || msg.location === null ? undefined : sanitizeLocation(msg.location);
+    if (location === null) {
+      reject('位置情報が正しくありません。');
+      return;
+    }
     const hasIconProp = Object.prototype.hasOwnProperty.call(msg, 'icon');
     const sanitizedIcon = hasIconProp ? sanitizeIconDataUrl(msg.icon) : undefined;
     const requestedRemoval = hasIconProp && msg.icon === null;
@@ -501,6 +2807,7 @@ io.on('connection', (socket) => {
       if (nextIcon !== profile.icon) {
         const updatedProfile = { ...profile, icon: nextIcon };
         userProfiles.set(socket.id, updatedProfile);
+        updateAccountProfile(profile.accountId, { icon: nextIcon });
         const members = roomMembers.get(room);
         if (members && members.has(socket.id)) {
           const existing = members.get(socket.id);
@@ -518,26 +2825,252 @@ io.on('connection', (socket) => {
       icon = nextIcon;
     }
 
-    if (!text && !location) {
+    const requestedAttachments = Array.isArray(msg.attachments) ? msg.attachments : [];
+    if (requestedAttachments.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+      reject(`添付できるファイルは1メッセージにつき${MAX_ATTACHMENTS_PER_MESSAGE}件までです。`);
       return;
     }
+    const attachmentInfos = [];
+    for (const attachmentId of requestedAttachments) {
+      const info = typeof attachmentId === 'string' ? attachments.get(attachmentId) : undefined;
+      if (!info || info.room !== room || info.uploadedBy !== socket.id || info.attached) {
+        reject('添付ファイルが見つかりません。もう一度アップロードしてください。');
+        return;
+      }
+      if (!attachmentInfos.includes(info)) {
+        attachmentInfos.push(info);
+      }
+    }
+
+    if (!text && !location && attachmentInfos.length === 0) {
+      if (callback) callback({ ok: false, error: 'メッセージを入力してください。' });
+      return;
+    }
+
+    let replyTo;
+    if (msg.replyTo !== undefined && msg.replyTo !== null) {
+      const parent = findRoomMessage(room, msg.replyTo);
+      if (!parent || parent.deleted) {
+        reject('返信先のメッセージが見つかりません。');
+        return;
+      }
+      replyTo = buildReplyPreview(parent);
+    }
 
     const payload = {
+      id: safeRandomUUID(),
+      senderId: socket.id,
+      memberId: profile.accountId,
       user: profile.user,
       time: Date.now(),
     };
     if (text) payload.text = text;
+    const mentions = findMentions(room, text);
+    if (mentions.length) payload.mentions = mentions;
     if (icon) payload.icon = icon;
     if (location) payload.location = location;
+    if (replyTo) payload.replyTo = replyTo;
+    if (clientId) payload.clientId = clientId;
+    if (attachmentInfos.length) {
+      attachmentInfos.forEach((info) => {
+        info.attached = true;
+        info.messageId = payload.id;
+        persistAttachment(info.id);
+      });
+      payload.attachments = attachmentInfos.map(toPublicAttachment);
+    }
+
+    publishRoomMessage(room, payload);
+    if (callback) callback({ ok: true, message: payload });
+  });
+
+  // Edit the text of one of the member's own messages
+  socket.on('message-edit', (rawPayload, maybeCallback) => {
+    const payload = toPayload(rawPayload);
+    const callback = typeof maybeCallback === 'function' ? maybeCallback : () => {};
+    const profile = userProfiles.get(socket.id);
+    const room = profile?.room;
+    if (!room) {
+      callback({ ok: false, error: 'ルームに参加していません。' });
+      return;
+    }
+    const message = findRoomMessage(room, payload.id);
+    if (!message || message.deleted) {
+      callback({ ok: false, error: 'メッセージが見つかりません。' });
+      return;
+    }
+    if (!isMessageAuthor(message, profile, socket.id)) {
+      callback({ ok: false, error: '自分のメッセージのみ編集できます。' });
+      return;
+    }
+    if (getMutedUntil(room, profile.accountId)) {
+      callback({ ok: false, error: MUTED_ERROR });
+      return;
+    }
+    const text = typeof payload.text === 'string' ? payload.text.trim() : '';
+    if (!text) {
+      callback({ ok: false, error: 'メッセージを入力してください。' });
+      return;
+    }
+    message.text = text;
+    message.editedAt = Date.now();
+    const mentions = findMentions(room, text);
+    if (mentions.length) {
+      message.mentions = mentions;
+    } else {
+      delete message.mentions;
+    }
+    refreshReplyPreviews(room, message);
+    persistMessages(room);
+    io.to(room).emit('message-updated', message);
+    callback({ ok: true, message });
+  });
+
+  // Delete one of the member's own messages, leaving a placeholder in history
+  socket.on('message-delete', (rawPayload, maybeCallback) => {
+    const payload = toPayload(rawPayload);
+    const callback = typeof maybeCallback === 'function' ? maybeCallback : () => {};
+    const profile = userProfiles.get(socket.id);
+    const room = profile?.room;
+    if (!room) {
+      callback({ ok: false, error: 'ルームに参加していません。' });
+      return;
+    }
+    const message = findRoomMessage(room, payload.id);
+    if (!message || message.deleted) {
+      callback({ ok: false, error: 'メッセージが見つかりません。' });
+      return;
+    }
+    const moderated = !isMessageAuthor(message, profile, socket.id);
+    if (moderated && !canModerate(room, profile.accountId, message.memberId)) {
+      callback({ ok: false, error: '自分のメッセージのみ削除できます。' });
+      return;
+    }
+    releaseMessageAttachments(message);
+    delete message.text;
+    delete message.location;
+    delete message.attachments;
+    message.deleted = true;
+    if (moderated) {
+      message.moderated = true;
+    }
+    message.deletedAt = Date.now();
+    refreshReplyPreviews(room, message);
+    persistMessages(room);
+    io.to(room).emit('message-updated', message);
+    callback({ ok: true, message });
+  });
+
+  // Toggle the caller's reaction on a message
+  socket.on('react', (rawPayload, maybeCallback) => {
+    const payload = toPayload(rawPayload);
+    const callback = typeof maybeCallback === 'function' ? maybeCallback : () => {};
+    const profile = userProfiles.get(socket.id);
+    const room = profile?.room;
+    if (!room) {
+      callback({ ok: false, error: 'ルームに参加していません。' });
+      return;
+    }
+    const emoji = typeof payload.emoji === 'string' ? payload.emoji : '';
+    if (!ALLOWED_REACTIONS.includes(emoji)) {
+      callback({ ok: false, error: 'このリアクションは使用できません。' });
+      return;
+    }
+    const message = findRoomMessage(room, payload.id);
+    if (!message || message.deleted) {
+      callback({ ok: false, error: 'メッセージが見つかりません。' });
+      return;
+    }
+    const reactions = Array.isArray(message.reactions) ? message.reactions : [];
+    let entry = reactions.find((reaction) => reaction.emoji === emoji);
+    if (!entry) {
+      entry = { emoji, count: 0, users: [] };
+      reactions.push(entry);
+    }
+    const existingIndex = entry.users.findIndex((reactor) => reactor.id === profile.accountId);
+    if (existingIndex === -1) {
+      entry.users.push({ id: profile.accountId, user: profile.user });
+    } else {
+      entry.users.splice(existingIndex, 1);
+    }
+    entry.count = entry.users.length;
+    message.reactions = reactions.filter((reaction) => reaction.count > 0);
+    if (message.reactions.length === 0) {
+      delete message.reactions;
+    }
+    persistMessages(room);
+    io.to(room).emit('message-updated', message);
+    callback({ ok: true, message });
+  });
 
-    const history = roomMessages.get(room) || [];
-    history.push(payload);
-    if (history.length > MAX_MESSAGES_PER_ROOM) {
-      history.splice(0, history.length - MAX_MESSAGES_PER_ROOM);
+  // Owners appoint and dismiss moderators
+  socket.on('set-room-role', (rawPayload, maybeCallback) => {
+    const payload = toPayload(rawPayload);
+    const callback = typeof maybeCallback === 'function' ? maybeCallback : () => {};
+    const profile = userProfiles.get(socket.id);
+    const room = profile?.room;
+    if (!room) {
+      callback({ ok: false, error: 'ルームに参加していません。' });
+      return;
+    }
+    if (getRoomRole(room, profile.accountId) !== 'owner') {
+      callback({ ok: false, error: 'モデレーターを任命できるのはオーナーだけです。' });
+      return;
+    }
+    const memberId = typeof payload.memberId === 'string' ? payload.memberId : '';
+    const role = payload.role === 'moderator' ? 'moderator' : payload.role === 'member' ? 'member' : null;
+    if (!role || !accounts.has(memberId) || getRoomRole(room, memberId) === 'owner') {
+      callback({ ok: false, error: 'この役割は変更できません。' });
+      return;
+    }
+    setRoomRole(room, memberId, role);
+    callback({ ok: true, memberId, role });
+  });
+
+  socket.on('kick-member', (rawPayload, maybeCallback) => {
+    const payload = toPayload(rawPayload);
+    const callback = typeof maybeCallback === 'function' ? maybeCallback : () => {};
+    const profile = userProfiles.get(socket.id);
+    const room = profile?.room;
+    if (!room) {
+      callback({ ok: false, error: 'ルームに参加していません。' });
+      return;
+    }
+    const memberId = typeof payload.memberId === 'string' ? payload.memberId : '';
+    if (!canModerate(room, profile.accountId, memberId)) {
+      callback({ ok: false, error: 'このメンバーを退出させる権限がありません。' });
+      return;
+    }
+    const name = kickFromRoom(room, memberId);
+    if (name) {
+      io.to(room).emit('system', `${name} が ${profile.user} によって退出させられました。`);
     }
-    roomMessages.set(room, history);
+    callback({ ok: true, memberId });
+  });
 
-    io.to(room).emit('message', payload);
+  // Mute a member for `duration` milliseconds; a duration of 0 lifts the mute.
+  socket.on('mute-member', (rawPayload, maybeCallback) => {
+    const payload = toPayload(rawPayload);
+    const callback = typeof maybeCallback === 'function' ? maybeCallback : () => {};
+    const profile = userProfiles.get(socket.id);
+    const room = profile?.room;
+    if (!room) {
+      callback({ ok: false, error: 'ルームに参加していません。' });
+      return;
+    }
+    const memberId = typeof payload.memberId === 'string' ? payload.memberId : '';
+    if (!canModerate(room, profile.accountId, memberId)) {
+      callback({ ok: false, error: 'このメンバーをミュートする権限がありません。' });
+      return;
+    }
+    const duration = Number(payload.duration);
+    if (!Number.isInteger(duration) || duration < 0 || duration > MAX_ROOM_MUTE_MS) {
+      callback({ ok: false, error: 'ミュートの期間が正しくありません。' });
+      return;
+    }
+    const until = duration > 0 ? Date.now() + duration : null;
+    setRoomMute(room, memberId, until);
+    callback({ ok: true, memberId, mutedUntil: until });
   });
 
   socket.on('typing', () => {
@@ -547,14 +3080,15 @@ io.on('connection', (socket) => {
       return;
     }
     const sockets = roomSockets.get(room);
-    if (!sockets || !sockets.has(socket.id)) {
+    if (!sockets || !sockets.has(socket.id) || getMutedUntil(room, profile.accountId)) {
       return;
     }
-    socket.to(room).emit('typing', { user: profile?.user || 'ゲスト' });
+    socket.to(room).emit('typing', { user: profile?.user || 'ゲスト', memberId: profile.accountId });
   });
 
   // Signaling messages for WebRTC; forward to all peers in the room
-  socket.on('webrtc', ({ room, data } = {}) => {
+  socket.on('webrtc', (signal) => {
+    const { room, data } = toPayload(signal);
     const profile = userProfiles.get(socket.id);
     const targetRoom = sanitizeRoomName(room) || profile?.room;
     if (!targetRoom) {
@@ -580,7 +3114,8 @@ io.on('connection', (socket) => {
     socket.to(targetRoom).emit('webrtc', payload);
   });
 
-  socket.on('call-participation', (data = {}) => {
+  socket.on('call-participation', (payload) => {
+    const data = toPayload(payload);
     const { action } = data;
     if (!action) return;
     const profile = userProfiles.get(socket.id);
@@ -610,7 +3145,6 @@ io.on('connection', (socket) => {
         return;
       }
       const existingProfile = profile;
-      const nameFromData = typeof data.user === 'string' && data.user.trim() ? data.user.trim() : undefined;
       let iconProvided = Object.prototype.hasOwnProperty.call(data, 'icon');
       let iconFromData;
       if (iconProvided) {
@@ -625,15 +3159,16 @@ io.on('connection', (socket) => {
           }
         }
       }
-      const participantUser = nameFromData || existingProfile.user || socket.id;
+      // The name always comes from the room membership so a call cannot be joined under someone else's name.
+      const participantUser = existingProfile.user || socket.id;
       const participantIcon = iconProvided ? iconFromData ?? null : existingProfile.icon ?? null;
       const info = { id: socket.id, user: participantUser, icon: participantIcon };
       participants.set(socket.id, info);
       callParticipants.set(room, participants);
-      userProfiles.set(socket.id, { user: participantUser, icon: participantIcon, room });
+      userProfiles.set(socket.id, { ...existingProfile, icon: participantIcon, room });
       const members = roomMembers.get(room);
       if (members && members.has(socket.id)) {
-        members.set(socket.id, { id: socket.id, user: participantUser, icon: participantIcon });
+        members.set(socket.id, { ...members.get(socket.id), icon: participantIcon });
         emitRoomUsers(room);
       }
       changed = true;
@@ -644,7 +3179,8 @@ io.on('connection', (socket) => {
     }
   });
 
-  socket.on('profile-update', (payload = {}, maybeCallback) => {
+  socket.on('profile-update', (rawPayload, maybeCallback) => {
+    const payload = toPayload(rawPayload);
     const callback = typeof maybeCallback === 'function' ? maybeCallback : () => {};
     const profile = userProfiles.get(socket.id);
     if (!profile || !profile.room) {
@@ -656,12 +3192,16 @@ io.on('connection', (socket) => {
     const updates = {};
 
     if (Object.prototype.hasOwnProperty.call(payload, 'user')) {
-      const proposedUser = typeof payload.user === 'string' ? payload.user.trim() : '';
-      if (!proposedUser) {
-        callback({ ok: false, error: 'ユーザー名を空にはできません。' });
+      try {
+        updates.user = sanitizeDisplayName(payload.user);
+      } catch (error) {
+        callback({ ok: false, error: error.message });
+        return;
+      }
+      if (isDisplayNameTaken(room, updates.user, profile.accountId)) {
+        callback({ ok: false, error: 'この名前はルーム内で既に使われています。' });
         return;
       }
-      updates.user = proposedUser;
     }
 
     if (Object.prototype.hasOwnProperty.call(payload, 'icon')) {
@@ -684,6 +3224,8 @@ io.on('connection', (socket) => {
 
     const updatedProfile = { ...profile, ...updates };
     userProfiles.set(socket.id, updatedProfile);
+    // The profile belongs to the account, so the change carries over to the next join.
+    updateAccountProfile(profile.accountId, updates);
 
     const members = roomMembers.get(room);
     if (members && members.has(socket.id)) {
@@ -702,6 +3244,7 @@ io.on('connection', (socket) => {
 
     const payloadForClients = {
       id: socket.id,
+      memberId: profile.accountId,
       user: updatedProfile.user,
     };
 
@@ -715,9 +3258,18 @@ io.on('connection', (socket) => {
   });
 
   // Handle disconnect
-  socket.on('disconnect', () => {
+  socket.on('disconnect', (reason) => {
     console.log('user disconnected:', socket.id);
+    revokeUploadTokens(socket.id);
     const profile = userProfiles.get(socket.id);
+    // Deliberate disconnects (logout, closing the socket) leave immediately; only dropped connections may resume.
+    const deliberate = reason === 'client namespace disconnect' || reason === 'server namespace disconnect';
+    if (profile?.room && !deliberate && hasResumeToken(socket.id)) {
+      // Keep the seat for a while so a client that reconnects can resume instead of rejoining.
+      const timer = setTimeout(() => finalizeDisconnect(socket.id), RECONNECT_GRACE_MS);
+      disconnectedMembers.set(socket.id, { socket, timer, disconnectedAt: Date.now() });
+      return;
+    }
     if (profile?.room) {
       removeSocketFromRoom(socket, profile.room, { notifyOthers: true });
     }
@@ -727,15 +3279,39 @@ io.on('connection', (socket) => {
 
 const PORT = process.env.PORT || 3000;
 
-const TWELVE_HOURS_MS = 12 * 60 * 60 * 1000;
 setInterval(() => {
-  roomMessages.forEach((messages, room) => {
-    if (messages.length > 0) {
-      roomMessages.set(room, []);
-      io.to(room).emit('clear-history', { room });
+  const now = Date.now();
+  roomDirectory.forEach((info, room) => {
+    applyRetention(room, { now });
+  });
+  rateLimiter.prune(now);
+  adminLoginThrottle.prune(now);
+  accountLoginThrottle.prune(now);
+  attachments.forEach((info, id) => {
+    if (!info.attached && now - info.createdAt > UNATTACHED_UPLOAD_TTL_MS) {
+      deleteAttachment(id);
+    }
+  });
+  accountSessions.forEach((session, key) => {
+    if (session.expiresAt <= now) {
+      accountSessions.delete(key);
+      persistAccountSession(key);
+      removePushSubscriptions((subscription) => subscription.sessionKey === key);
+    }
+  });
+  roomPasses.forEach((pass, token) => {
+    if (pass.expiresAt <= now) {
+      roomPasses.delete(token);
     }
   });
-}, TWELVE_HOURS_MS);
+}, RETENTION_SWEEP_INTERVAL_MS);
+
+['SIGINT', 'SIGTERM'].forEach((signal) => {
+  process.on(signal, () => {
+    store.flush();
+    process.exit(0);
+  });
+});
 
 server.listen(PORT, () => {
   console.log(`Server listening on http://localhost:${PORT}`);
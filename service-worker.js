@@ -1,11 +1,15 @@
 /*
  * Simple service worker to enable offline caching of the PWA chat app.
  * This caches the core assets and uses a network‑first strategy for dynamic
- * requests. For more advanced caching strategies (e.g. chat messages),
- * consider integrating IndexedDB or background sync.
+ * requests. Chat messages written while offline wait in the IndexedDB outbox
+ * (public/outbox.js) and are delivered from here through Background Sync.
+ * Web Push notifications for rooms are shown here as well, and clicking one
+ * opens the app at the room the message was posted in.
  */
 
-const CACHE_NAME = 'pwa-chat-cache-v4';
+importScripts('/public/outbox.js');
+
+const CACHE_NAME = 'pwa-chat-cache-v8';
 const STATIC_ASSETS = [
   '/',
   '/index.html',
@@ -18,6 +22,8 @@ const STATIC_ASSETS = [
   '/icon-512.png',
   '/public/vendor/leaflet.css',
   '/public/vendor/leaflet.js',
+  '/public/message-cache.js',
+  '/public/outbox.js',
 ];
 
 self.addEventListener('install', (event) => {
@@ -56,6 +62,12 @@ self.addEventListener('fetch', (event) => {
     return;
   }
 
+  // API responses are per member or admin-only (search results, account details, room exports), so they
+  // never go into the shared cache. Offline, the page searches its own message cache instead.
+  if (isSameOrigin && url.pathname.startsWith('/api/')) {
+    return;
+  }
+
   event.respondWith(
     (async () => {
       try {
@@ -81,3 +93,50 @@ self.addEventListener('fetch', (event) => {
     })()
   );
 });
+
+self.addEventListener('sync', (event) => {
+  if (event.tag !== self.chatOutbox.SYNC_TAG) return;
+  event.waitUntil(
+    self.chatOutbox.deliverPending().finally(async () => {
+      // Let open pages refresh the delivery state shown on queued bubbles.
+      const clients = await self.clients.matchAll({ type: 'window' });
+      clients.forEach((client) => client.postMessage({ type: 'outbox-updated' }));
+    })
+  );
+});
+
+self.addEventListener('push', (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch (error) {
+    data = {};
+  }
+  const room = typeof data.room === 'string' ? data.room : null;
+  event.waitUntil(
+    self.registration.showNotification(data.title || '新着メッセージ', {
+      body: data.body || '',
+      icon: '/icon-192.png',
+      badge: '/icon-192.png',
+      // One notification per room; newer messages replace the previous one.
+      tag: room ? `room:${room}` : undefined,
+      renotify: Boolean(room),
+      data: { room },
+    })
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const room = event.notification.data && event.notification.data.room;
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const target = windows.find((client) => client.focused) || windows[0];
+      if (target) {
+        target.postMessage({ type: 'open-room', room });
+        return target.focus();
+      }
+      return self.clients.openWindow(room ? `/?room=${encodeURIComponent(room)}` : '/');
+    })
+  );
+});